@@ -7,34 +7,76 @@ const https = require('https');
 const http = require('http');
 
 const { URL } = require('url');
-const {trace} = require('./trace');
+const {createTrace} = require('./trace');
+const {ApiError, NotFoundError} = require('./errors');
+const {createRetryPolicy, isRetryable, retryDelay} = require('./util/retry');
+const {jsonSerializer} = require('./serializer');
+const {listPage} = require('./util/listing');
+const {throwIfAborted, abortableTimeout} = require('./util/abort');
+
 
 /*
  * Internal class for performing API operations.
  * 
  * @constructor
  */
-const Api = function(apiKey, apiEndpoint, verifySsl=true) {
+const Api = function(apiKey, apiEndpoint, verifySsl=true, retryPolicy=null, logger=null) {
     this.apiKey = apiKey;
     this.apiEndpoint = apiEndpoint + "/api/v1";
     this.verifySsl = verifySsl;
+    this.retryPolicy = createRetryPolicy(retryPolicy);
+    // Remote jobs use plain JSON unless a serializer is set, since the runtime may not support others.
+    this.serializer = jsonSerializer;
+    this.trace = createTrace(logger);
+
+    // Set when the project configuration file could not be loaded, and thrown by every request.
+    this.configError = null;
+
+    // Set to false once the endpoint rejects an archive upload, so files are uploaded individually.
+    this.supportsArchiveUpload = true;
+
+    // Set to false once the endpoint is found not to support the data store stat route.
+    this.supportsDataStoreStat = true;
 
     this.setApiKey = (apikey) => this.apiKey = apikey;
     this.setEndpoint = (endpoint) => this.apiEndpoint = endpoint + "/api/v1";
+    this.setRetryPolicy = (retryPolicy) => this.retryPolicy = createRetryPolicy(retryPolicy);
+    this.setSerializer = (serializer) => this.serializer = serializer;
 
-    this.createApplication = async (payload) => {
+    this.createApplication = async (payload, signal=null) => {
         let urlStr = this.apiEndpoint + "/application/create";
-        return await this.sendRequest(urlStr, payload);
+        return await this.sendRequest(urlStr, payload, "json", "json", null, false, null, null, null, signal);
     };
 
-    this.createJob = async (payload) => {
+    this.applicationMissingFiles = async (fileHashes) => {
+        let urlStr = this.apiEndpoint + "/application/files/missing";
+
+        // Only reads which files the server has, so it is safe to retry.
+        return await this.sendRequest(urlStr, {fileHashes: fileHashes}, "json", "json", null, false, true);
+    };
+
+    this.applicationStatus = async (applicationGuid, signal=null) => {
+        let urlStr = this.apiEndpoint + "/application/status/" + applicationGuid;
+        return await this.sendRequest(urlStr, null, "json", "json", null, false, null, null, null, signal);
+    };
+
+    this.createJob = async (payload, signal=null) => {
         let urlStr = this.apiEndpoint + "/job/create";
-        return await this.sendRequest(urlStr, payload);
+        return await this.sendRequest(urlStr, payload, "json", "json", null, false, null, null, null, signal);
     };
 
-    this.uploadFile = async (payload) => {
+    this.uploadFile = async (payload, signal=null) => {
         let urlStr = this.apiEndpoint + "/application/upload";
-        return await this.sendRequest(urlStr, payload);
+
+        // Uploading the same file contents again is harmless, so uploads are retried like idempotent requests.
+        return await this.sendRequest(urlStr, payload, "json", "json", null, false, true, null, null, signal);
+    };
+
+    this.uploadArchive = async (applicationGuid, archive, signal=null) => {
+        let urlStr = this.apiEndpoint + "/application/upload/archive/" + applicationGuid;
+
+        // Uploading the same archive again is harmless, so it is retried like an idempotent request.
+        return await this.sendRequest(urlStr, archive, "json", "binary", null, false, true, null, null, signal);
     };
 
     this.jobLogs = async (jobGuid) => {
@@ -44,6 +86,13 @@ const Api = function(apiKey, apiEndpoint, verifySsl=true) {
         return res;
     }
 
+    this.jobLogsFromOffset = async (jobGuid, stream, offset) => {
+        let urlStr = this.apiEndpoint + `/job/logs/${jobGuid}?stream=${stream}&offset=${offset}`;
+        let res = await this.sendRequest(urlStr, null, "text");
+
+        return res;
+    };
+
     this.getReturnValue = async (jobGuid) => {
         let urlStr = this.apiEndpoint + "/job/returnvalue/" + jobGuid;
         let res = await this.sendRequest(urlStr, null, "text");
@@ -51,29 +100,47 @@ const Api = function(apiKey, apiEndpoint, verifySsl=true) {
         return res;
     };
 
-    this.jobStatus = async (jobGuid) => {
-        let retries = 3;
+    this.jobStatus = async (jobGuid, signal=null) => {
         let urlStr = this.apiEndpoint + "/job/status/" + jobGuid;
+        return await this.sendRequest(urlStr, null, "json", "json", null, false, null, null, null, signal);
+    };
 
-        let res = null;
+    this.jobCancel = async (jobGuid) => {
+        let urlStr = this.apiEndpoint + "/job/cancel/" + jobGuid;
+        return await this.sendRequest(urlStr, null, "text", null, "POST", false, true);
+    };
 
-        for (let i=0;i<retries;++i) {
-            try {
-                res = await this.sendRequest(urlStr);
-                break;
-            }
-            catch (err) {
-                console.error(err);
+    this.scheduledJobList = async () => {
+        let urlStr = this.apiEndpoint + "/job/scheduled/list";
+        return await this.sendRequest(urlStr);
+    };
 
-                if (i === (retries - 1))
-                    throw err;
-            }
-        }
+    this.scheduledJobStatus = async (scheduledJobGuid) => {
+        let urlStr = this.apiEndpoint + `/job/scheduled/${scheduledJobGuid}`;
+        return await this.sendRequest(urlStr);
+    };
 
-        return res;
+    this.scheduledJobPause = async (scheduledJobGuid) => {
+        let urlStr = this.apiEndpoint + `/job/scheduled/${scheduledJobGuid}/pause`;
+        return await this.sendRequest(urlStr, null, "text", null, "POST", false, true);
+    };
+
+    this.scheduledJobResume = async (scheduledJobGuid) => {
+        let urlStr = this.apiEndpoint + `/job/scheduled/${scheduledJobGuid}/resume`;
+        return await this.sendRequest(urlStr, null, "text", null, "POST", false, true);
+    };
+
+    this.scheduledJobDelete = async (scheduledJobGuid) => {
+        let urlStr = this.apiEndpoint + `/job/scheduled/${scheduledJobGuid}/delete`;
+        return await this.sendRequest(urlStr, null, "text", null, "DELETE");
+    };
+
+    this.scheduledJobJobs = async (scheduledJobGuid) => {
+        let urlStr = this.apiEndpoint + `/job/scheduled/${scheduledJobGuid}/jobs`;
+        return await this.sendRequest(urlStr);
     };
-    
-    
+
+
     this.dataStoreCreate = async (payload) => {
         if (!payload.constructor || payload.constructor.name !== 'CreateDataStorePayload') {
             throw new Error("Invalid Argument Type: Expected CreateDataStorePayload type payload");
@@ -99,41 +166,54 @@ const Api = function(apiKey, apiEndpoint, verifySsl=true) {
         return res;
     };
 
-    this.dataStoreUpload = async (name, data, path) => {
+    /*
+     * Uploads data to a data store. The data may be a string, a Buffer or a function returning 
+     * a new readable stream of byteCount bytes each time it is called, so the data is streamed 
+     * to the storage redirect (and any retry) without being held in memory. The content type 
+     * is stored with the file, "application/octet-stream" by default.
+     */
+    this.dataStoreUpload = async (name, data, path, byteCount=null, contentType=null) => {
         if (typeof(name) !== 'string') {
             throw new Error("Invalid Argument Type: Expected string type name.");
         }
 
-        if (typeof(data) !== 'string' 
-            && (!data.constructor || !data.constructor.name === 'Buffer')) {
-            throw new Error("Invalid Argument Type: Expected string or Buffer type data.");
+        if (typeof(data) !== 'string' && !Buffer.isBuffer(data) && typeof(data) !== 'function') {
+            throw new Error("Invalid Argument Type: Expected string, Buffer or stream factory type data.");
+        }
+
+        if (typeof(data) === 'function' && typeof(byteCount) !== 'number') {
+            throw new Error("Invalid Argument Type: Expected number type byteCount for streamed data.");
         }
 
         if (typeof(path) !== 'string') {
             throw new Error("Invalid Argument Type: Expected string type path.")
         }
 
+        if (byteCount === null) {
+            byteCount = Buffer.byteLength(data);
+        }
+
         let urlStr = this.apiEndpoint + `/data/store/${name}/file/${path}`;
 
         let res = await this.sendRequest(urlStr, data, 
-            'text', 'text', 'PUT', true);
+            'text', 'text', 'PUT', true, null, byteCount, contentType);
         
         if (!res.redirect)
             return res;
 
         let redirectUrl = res.location;
         let redirectHeaders = {
-            'Content-Type': "application/octet-stream",
-            'Content-Length': Buffer.byteLength(data),
+            'Content-Type': contentType || "application/octet-stream",
+            'Content-Length': byteCount,
             'User-Agent': 'aegisblade-js',
             'Expect': '100-Continue'
         };
 
-        let redirectRes = await this.baseRequest(true, 'PUT', redirectUrl, 
-            redirectHeaders, data);
+        let redirectRes = await this.withRetry(true, redirectUrl, 
+            () => this.baseRequest(true, 'PUT', redirectUrl, redirectHeaders, data));
 
         if (redirectRes.redirect)
-            throw new Error("unexpected redirect");
+            throw new ApiError("unexpected redirect", {statusCode: redirectRes.response.statusCode, url: redirectUrl});
 
         return redirectRes.body;
     };
@@ -155,7 +235,11 @@ const Api = function(apiKey, apiEndpoint, verifySsl=true) {
         return res;
     };
 
-    this.dataStoreDownload = async (name, path) => {
+    /*
+     * Downloads a file from a data store as a string ("text"), a Buffer ("buffer") 
+     * or the unconsumed response stream ("stream").
+     */
+    this.dataStoreDownload = async (name, path, responseType="text") => {
         if (typeof(name) !== 'string') {
             throw new Error("Invalid Argument Type: Expected string type name.");
         }
@@ -166,17 +250,18 @@ const Api = function(apiKey, apiEndpoint, verifySsl=true) {
 
         let urlStr = this.apiEndpoint + `/data/store/${name}/file/${path}`;
 
-        let res = await this.sendRequest(urlStr, null, "text");
+        let res = await this.sendRequest(urlStr, null, responseType);
         if (!res.redirect) {
             return res;
         }
 
         let redirectUrl = res.location;
 
-        let redirectRes = await this.baseRequest(true, 'GET', redirectUrl);
+        let redirectRes = await this.withRetry(true, redirectUrl, 
+            () => this.baseRequest(true, 'GET', redirectUrl, null, null, responseType));
 
         if (redirectRes.redirect)
-            throw new Error("unexpected redirect");
+            throw new ApiError("unexpected redirect", {statusCode: redirectRes.response.statusCode, url: redirectUrl});
 
         return redirectRes.body;
     };
@@ -192,10 +277,129 @@ const Api = function(apiKey, apiEndpoint, verifySsl=true) {
         return res;
     };
 
-    this.sendRequest = async (urlStr, payload, responseType="json", payloadType="json", methodOverride=null, expectContinue=false) => {
+    /*
+     * Lists a page of the files of a data store. Returns `entries` (objects with `path`, `size`, 
+     * `lastModified`, `hash` and `contentType`), `prefixes` (the common prefixes, if a delimiter 
+     * was given) and `nextCursor` (null on the last page). Endpoints that only return a flat 
+     * array of paths are paged on the client, with null metadata.
+     */
+    this.dataStoreList = async (name, options={}) => {
+        if (typeof(name) !== 'string') {
+            throw new Error("Invalid Argument Type: Expected string type name.");
+        }
+
+        let query = ["metadata=1"];
+        for (let key of ["prefix", "delimiter", "limit", "cursor"]) {
+            if (options[key] !== undefined && options[key] !== null) {
+                query.push(`${key}=${encodeURIComponent(options[key])}`);
+            }
+        }
+
+        let urlStr = this.apiEndpoint + `/data/store/${name}/list?${query.join("&")}`;
+        let res = await this.sendRequest(urlStr, null);
+
+        if (Array.isArray(res)) {
+            let entries = res.map(entry => typeof(entry) === 'string'
+                ? {path: entry, size: null, lastModified: null, hash: null, contentType: null}
+                : entry);
+
+            return listPage(entries, options);
+        }
+
+        return {
+            entries: res.entries || [],
+            prefixes: res.prefixes || [],
+            nextCursor: res.nextCursor || null
+        };
+    };
+
+    /*
+     * Returns the metadata of a data store file, with the same properties as the 
+     * entries of dataStoreList(), or null if the file does not exist.
+     * 
+     * Endpoints without the stat route respond 404 for every file, so a 404 is checked 
+     * against the listing, and once the listing has a file the stat route reported 
+     * missing, only the listing is used.
+     */
+    this.dataStoreStat = async (name, path) => {
+        if (typeof(name) !== 'string') {
+            throw new Error("Invalid Argument Type: Expected string type name.");
+        }
+
+        if (typeof(path) !== 'string') {
+            throw new Error("Invalid Argument Type: Expected string type path.")
+        }
+
+        if (this.supportsDataStoreStat) {
+            let urlStr = this.apiEndpoint + `/data/store/${name}/stat/${path}`;
+
+            try {
+                return await this.sendRequest(urlStr, null);
+            } catch (err) {
+                if (!(err instanceof NotFoundError)) {
+                    throw err;
+                }
+            }
+        }
+
+        let entry;
+        try {
+            // Entries are sorted by path, so the file itself is the first entry with its path as the prefix.
+            let page = await this.dataStoreList(name, {prefix: path, limit: 1});
+            entry = page.entries.find(e => e.path === path) || null;
+        } catch (err) {
+            if (err instanceof NotFoundError) {
+                return null;
+            }
+
+            throw err;
+        }
+
+        if (entry && this.supportsDataStoreStat) {
+            this.trace("The endpoint does not support the data store stat route, using the listing instead.");
+            this.supportsDataStoreStat = false;
+        }
+
+        return entry;
+    };
+
+    /*
+     * Calls requestFunc, retrying it according to the retry policy when it fails.
+     * Requests that are not idempotent are only retried when they certainly were not processed.
+     * Aborting the signal stops retrying, also during the delay before a retry.
+     */
+    this.withRetry = async (idempotent, description, requestFunc, signal=null) => {
+        for (let attempt = 0; ; ++attempt) {
+            throwIfAborted(signal);
+
+            try {
+                return await requestFunc();
+            }
+            catch (err) {
+                if (attempt >= this.retryPolicy.retries || !isRetryable(err, idempotent)) {
+                    throw err;
+                }
+
+                let delay = retryDelay(this.retryPolicy, attempt, err);
+
+                this.trace(`Request failed (${err.message}), retrying in ${delay}ms: ${description}`);
+                await abortableTimeout(delay, signal);
+            }
+        }
+    };
+
+    this.sendRequest = async (urlStr, payload, responseType="json", payloadType="json", methodOverride=null, expectContinue=false, idempotent=null, byteCount=null, contentType=null, signal=null) => {
+        if (this.configError) {
+            throw this.configError;
+        }
+
         let method = methodOverride || 'GET';
         if (payload && !methodOverride) method = 'POST';
 
+        if (idempotent === null) {
+            idempotent = method !== 'POST';
+        }
+
         let headers = {
             "Authorization": "bearer " + this.apiKey
         };
@@ -212,25 +416,16 @@ const Api = function(apiKey, apiEndpoint, verifySsl=true) {
             }
             else {
                 body = payload;
-                headers["Content-Type"] = "application/octet-stream";
+                headers["Content-Type"] = contentType || "application/octet-stream";
             }
 
-            headers["Content-Length"] = Buffer.byteLength(body);
+            headers["Content-Length"] = byteCount !== null ? byteCount : Buffer.byteLength(body);
             headers["Accept-Encoding"] = 'gzip, deflate';
             headers["User-Agent"] = "aegisblade-js-client";
         }
 
-        let response;
-        try {
-            response = await this.baseRequest(this.verifySsl, method, urlStr, headers, body)
-        }
-        catch (err) {
-            if (err.body) {
-                throw new Error(err.body);
-            }
-
-            throw new Error(err);
-        }
+        let response = await this.withRetry(idempotent, `${method} ${urlStr}`, 
+            () => this.baseRequest(this.verifySsl, method, urlStr, headers, body, responseType === "json" ? "text" : responseType), signal);
 
         if (response.redirect)
         {
@@ -242,17 +437,27 @@ const Api = function(apiKey, apiEndpoint, verifySsl=true) {
             try {
                 responseBody = JSON.parse(responseBody);
             } catch (e) {
-                trace("Error parsing json response: ", console.err);
-                trace(response, console.err);
-
-                throw new Error(responseBody);
+                this.trace("Error parsing json response: ", console.error);
+                this.trace(response, console.error);
+
+                throw new ApiError("Invalid JSON response: " + responseBody, {
+                    statusCode: response.response.statusCode, 
+                    body: responseBody, 
+                    url: urlStr, 
+                    cause: e
+                });
             }
         }
 
         return responseBody;
     };
 
-    this.baseRequest = async (verifySsl, method, urlStr, headers, body) => {
+    /*
+     * Makes a single request. The body may be a string, a Buffer or a function returning a readable 
+     * stream, called only when the body is sent. The response body is returned as a string ("text"), 
+     * a Buffer ("buffer") or, for successful responses, the unconsumed response stream ("stream").
+     */
+    this.baseRequest = async (verifySsl, method, urlStr, headers, body, responseType="text") => {
         let url = new URL(urlStr);
         let expectContinue = headers && headers["Expect"] === "100-Continue";
 
@@ -262,7 +467,7 @@ const Api = function(apiKey, apiEndpoint, verifySsl=true) {
         }[url.protocol];
 
         if (!requestFunc) {
-            throw new Error("Unrecognized protocol on endpoint: " + url.protocol)
+            throw new ApiError("Unrecognized protocol on endpoint: " + url.protocol, {url: urlStr});
         }
 
         let port = url.port || {
@@ -270,9 +475,9 @@ const Api = function(apiKey, apiEndpoint, verifySsl=true) {
             'http:': 80
         }[url.protocol];
 
-        if (body && typeof(body) !== 'string' && body.constructor && body.constructor.name !== 'Buffer')
+        if (body && typeof(body) !== 'string' && !Buffer.isBuffer(body) && typeof(body) !== 'function')
         {
-            throw new Error("body must be a string or buffer");
+            throw new Error("body must be a string, buffer or stream factory");
         }
 
         let requestOptions = {
@@ -288,23 +493,33 @@ const Api = function(apiKey, apiEndpoint, verifySsl=true) {
 
         let requestPromise = new Promise((resolve, reject) => {
             let request = requestFunc(requestOptions, res => {
-                res.setEncoding("utf8");
-
-                let responseBody = "";
-
                 let responseObject = {
                     response: res
                 };
 
+                if (responseType === "stream" && [200, 201].includes(res.statusCode)) {
+                    responseObject.body = res;
+                    resolve(responseObject);
+                    return;
+                }
+
+                // Chunks are decoded together so multi-byte characters split across chunks are not corrupted.
+                let chunks = [];
+
                 res.on("error", err => {
                     reject(err);
                 });
 
                 res.on("data", data => {
-                    responseBody += data;
+                    chunks.push(data);
                 });
 
                 res.on("end", () => {
+                    let responseBody = Buffer.concat(chunks);
+                    if (responseType !== "buffer" && responseType !== "stream") {
+                        responseBody = responseBody.toString("utf8");
+                    }
+
                     responseObject.body = responseBody;
 
                     // Handle Redirect
@@ -316,22 +531,40 @@ const Api = function(apiKey, apiEndpoint, verifySsl=true) {
                     }
 
                     if (![200, 201].includes(res.statusCode)) {
-                        reject(res.statusCode + " - " + res.statusMessage);
+                        reject(ApiError.create(res.statusCode + " - " + res.statusMessage, {
+                            statusCode: res.statusCode,
+                            headers: res.headers,
+                            body: Buffer.isBuffer(responseBody) ? responseBody.toString("utf8") : responseBody,
+                            url: urlStr
+                        }));
                     }
 
                     resolve(responseObject);
                 });
             });
+
+            request.on("error", err => {
+                reject(err);
+            });
+
+            const sendBody = () => {
+                if (typeof(body) === 'function') {
+                    let bodyStream = body();
+                    bodyStream.on("error", err => {
+                        request.abort();
+                        reject(err);
+                    });
+                    bodyStream.pipe(request);
+                }
+                else if (body) request.end(body);
+                else request.end();
+            };
             
             if (! expectContinue)
             {
-                if (body) request.end(body);
-                else request.end();
+                sendBody();
             } else {
-                request.on("continue", () => {
-                    if (body) request.end(body);
-                    else request.end();
-                });
+                request.on("continue", sendBody);
             }
         });
 
@@ -340,7 +573,11 @@ const Api = function(apiKey, apiEndpoint, verifySsl=true) {
             response = await requestPromise;
         }
         catch (err) {
-            throw new Error(err);
+            if (err instanceof ApiError) {
+                throw err;
+            }
+
+            throw new ApiError(err.message || String(err), {url: urlStr, code: err.code, cause: err});
         }
 
         return response;
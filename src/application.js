@@ -0,0 +1,249 @@
+// A part of the AegisBlade Node.js Client Library
+// Copyright (C) 2019 Thornbury Organization, Bryan Thornbury
+// This file may be used under the terms of the GNU Lesser General Public License, version 2.1.
+// For more details see: https://www.gnu.org/licenses/lgpl-2.1.html
+
+const {CreateJobPayload} = require("./models");
+const {serializeEntrypoint} = require("./targetFunc");
+const {throwIfAborted, abortableTimeout} = require("./util/abort");
+const {validateCrontab} = require("./util/cron");
+const merge = require("./util/merge");
+const JobConfig = require("./jobConfig");
+const Job = require("./job");
+const ScheduledJob = require("./scheduledJob");
+const {TimeoutError} = require("./errors");
+
+/**
+ * An object for fetching application-related information from the API
+ * and running jobs on the application.
+ *
+ * <p>
+ * This is typically returned by a call to [AegisBladeClient.buildApplication()]{@link AegisBladeClient#buildApplication} but may
+ * be constructed from a saved [Application.id]{@link Application#id} by calling the
+ * [AegisBladeClient.application()]{@link AegisBladeClient#application} method.
+ * </p>
+ *
+ * <p>
+ * In AegisBlade, an application is the uploaded files and packages of
+ * a project, built into an image that jobs are run on. Any number of jobs may
+ * be run on an application without uploading the files again.
+ * </p>
+ */
+class Application {
+    /**
+     * Do not use the constructor directly. Use [AegisBladeClient.application()]{@link AegisBladeClient#application}
+     * to get a reference to an existing application or [AegisBladeClient.buildApplication()]{@link AegisBladeClient#buildApplication}
+     * to build a new application.
+     */
+    constructor(api, applicationId, files, jobConfig)
+    {
+        this.api = api;
+
+        /**
+         * The GUID-like id of the application.
+         *
+         * @type {string}
+         */
+        this.id = applicationId;
+
+        /**
+         * The manifest of files that make up the application. Each file has
+         * `filePath`, `filePathRelativeToAppContext`, `fileHash` and `fileByteCount` properties.
+         *
+         * @type {Object[]}
+         */
+        this.files = files;
+
+        /**
+         * The job configuration the application was built with. Used as the
+         * default configuration for jobs run on the application.
+         *
+         * @type {JobConfig}
+         */
+        this.jobConfig = jobConfig || new JobConfig();
+
+        this.finalBuildStatusResult = null;
+
+        this.builtStates = ["built"];
+        this.errorStates = ["error"];
+    }
+
+    /**
+     * Retrieves the build status of this application from AegisBlade servers.
+     *
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] A signal that stops retrying the request when aborted.
+     *
+     * @returns {Promise<Object>} An object detailing the build status of the application and any errors encountered.
+     */
+    async getBuildStatus(options={}) {
+        let statusResult = await this.api.applicationStatus(this.id, options.signal || null);
+
+        this.api.trace(`Application (id: ${this.id}), received build status result.`);
+        this.api.trace(statusResult, console.dir);
+
+        return statusResult;
+    }
+
+    /**
+     * Waits for the application to finish building.
+     *
+     * <p>
+     * Jobs may be run on an application before it has finished building, they
+     * will wait for the build before running. This method is useful to find out
+     * whether a build succeeded before running any jobs.
+     * </p>
+     *
+     * @param {number} [expiration] Number of seconds to wait before timing out. Does not time out by default.
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] A signal that stops waiting when aborted.
+     *
+     * @returns {Promise<Object>} The final build status result. Its `buildStatus` is "error" if the build failed.
+     *
+     * @throws {TimeoutError} If the build takes longer than `expiration` seconds.
+     * @throws {AbortError} If the signal is aborted.
+     */
+    async waitForBuild(expiration=null, options={}) {
+        const startTime = new Date().getTime();
+        const {signal} = options;
+
+        if (this.finalBuildStatusResult) {
+            return this.finalBuildStatusResult;
+        }
+
+        while (true) {
+            throwIfAborted(signal);
+
+            if (expiration && (new Date().getTime() > (startTime + expiration * 1000))) {
+                throw new TimeoutError(`Waiting for Application (id: ${this.id}) to build timed out.`);
+            }
+
+            let statusResult = await this.getBuildStatus({signal});
+            let buildStatus = statusResult.buildStatus.toLowerCase();
+
+            if (this.builtStates.includes(buildStatus)) {
+                this.api.trace(`Application (id: ${this.id}) built successfully.`);
+                this.finalBuildStatusResult = statusResult;
+                return statusResult;
+            }
+
+            if (this.errorStates.includes(buildStatus)) {
+                this.api.trace(`Application (id: ${this.id}) build finished with error.`);
+                this.finalBuildStatusResult = statusResult;
+                return statusResult;
+            }
+
+            await abortableTimeout(700, signal);
+        }
+    }
+
+    /**
+     * Creates and runs a job on this application.
+     *
+     * @param targetFunction Target function to run on the server. Must be an exported module function
+     *      included in the application.
+     * @param args Arguments for the target function, to be supplied at runtime on the server.
+     * @param {Object} [overrides] Job configuration values (such as `memory` or `host`) that override
+     *      the configuration the application was built with.
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] A signal that stops creating the job when aborted.
+     * @param {boolean} [options.cancelOnAbort] (default=false) Whether to cancel the job
+     *      if the signal is aborted after it was created.
+     * @returns {Promise<Job>}
+     *
+     * @throws If the target function cannot be located, throws an Error.
+     * @throws {AbortError} If the signal is aborted, even if canceling the job then fails.
+     */
+    async run(targetFunction, args, overrides, options={}) {
+        const {signal, cancelOnAbort} = options;
+
+        let serializedEntrypoint = serializeEntrypoint(targetFunction, args, this.api.serializer);
+
+        throwIfAborted(signal);
+
+        let createJobResponse = await this.createJob(serializedEntrypoint, "instant", overrides, null, signal);
+        let job = Job.create(this.api, createJobResponse, this.files);
+
+        if (signal && signal.aborted) {
+            if (cancelOnAbort) {
+                this.api.trace(`Creating Job (id: ${job.id}) aborted, canceling job.`);
+
+                // The caller is told about the abort, not about a failure to cancel.
+                try {
+                    await job.cancel();
+                } catch (cancelErr) {
+                    this.api.trace(`Unable to cancel Job (id: ${job.id}).`);
+                    this.api.trace(cancelErr, console.error);
+                }
+            }
+
+            throwIfAborted(signal);
+        }
+
+        return job;
+    }
+
+    /**
+     * Creates a scheduled job on this application.
+     *
+     * @see AegisBladeClient#schedule
+     *
+     * @param targetFunction Target function to run on the server. Must be an exported module function
+     *      included in the application.
+     * @param args Arguments for the target function, to be supplied at runtime on the server.
+     * @param {string} crontab The crontab expression, e.g. "0 2 * * *" for 2am every day.
+     * @param {Object} [overrides] Job configuration values (such as `memory` or `host`) that override
+     *      the configuration the application was built with.
+     * @returns {Promise<ScheduledJob>}
+     *
+     * @throws If the crontab expression is not valid.
+     * @throws If the target function cannot be located, throws an Error.
+     */
+    async schedule(targetFunction, args, crontab, overrides) {
+        let normalizedCrontab = validateCrontab(crontab);
+        let serializedEntrypoint = serializeEntrypoint(targetFunction, args, this.api.serializer);
+
+        let createJobResponse = await this.createJob(serializedEntrypoint, "scheduled", overrides, normalizedCrontab);
+
+        return new ScheduledJob(this.api, createJobResponse.jobId, this.id, normalizedCrontab);
+    }
+
+    /**
+     * Creates a job of the given type on this application.
+     *
+     * @returns {Promise<Object>} The create job response.
+     * @private
+     */
+    async createJob(serializedEntrypoint, jobType, overrides, crontab=null, signal=null) {
+        let jobConfig = merge({}, this.jobConfig, overrides || {});
+
+        let createJobPayload = new CreateJobPayload(
+            this.id, serializedEntrypoint, jobType,
+            jobConfig.memory || null, jobConfig.host, crontab);
+
+        this.api.trace("Sending create job payload");
+        this.api.trace(createJobPayload, console.dir);
+
+        let createJobResponse = await this.api.createJob(createJobPayload, signal);
+
+        this.api.trace("Received create job response");
+        this.api.trace(createJobResponse, console.dir);
+
+        return createJobResponse;
+    }
+
+    /**
+     * Static method for creating an application instance.
+     * NOT RECOMMENDED outside internal use.
+     *
+     * @param {Api} api
+     * @param {Object} apiResponse
+     * @param {JobConfig} [jobConfig]
+     * @private
+     */
+    static create(api, apiResponse, jobConfig) {
+        return new Application(api, apiResponse.applicationId, apiResponse.files || [], jobConfig);
+    }
+}
+
+module.exports = Application;
@@ -0,0 +1,428 @@
+#!/usr/bin/env node
+// A part of the AegisBlade Node.js Client Library
+// Copyright (C) 2019 Thornbury Organization, Bryan Thornbury
+// This file may be used under the terms of the GNU Lesser General Public License, version 2.1.
+// For more details see: https://www.gnu.org/licenses/lgpl-2.1.html
+
+/**
+ * The `aegisblade` command-line interface, for inspecting jobs and
+ * data stores from a shell.
+ *
+ * <p>
+ * The api key and endpoint are read from the AEGISBLADE_API_KEY and
+ * AEGISBLADE_API_ENDPOINT environment variables, as by the client.
+ * </p>
+ *
+ * @module cli
+ * @private
+ */
+
+const fs = require('fs');
+const path = require('path');
+const util = require('util');
+const {aegisblade} = require('./main');
+const Job = require('./job');
+const {AegisBladeError, ApiError, JobFailedError, TimeoutError} = require('./errors');
+
+const EXIT_SUCCESS = 0;
+const EXIT_ERROR = 1;
+const EXIT_USAGE = 2;
+const EXIT_JOB_FAILED = 3;
+const EXIT_API_ERROR = 4;
+const EXIT_TIMEOUT = 5;
+
+const USAGE = `Usage: aegisblade <command> [options]
+
+Commands:
+  run <module>#<export> [args-json]     Run an exported function as a job and print its id.
+  status <jobId>                        Print the status of a job.
+  wait <jobId>                          Wait for a job to complete and print its final status.
+  logs <jobId> [--follow]               Print the logs of a job, following them until it completes with --follow.
+  result <jobId>                        Wait for a job to complete and print its return value.
+  cancel <jobId>                        Cancel a job.
+  files                                 List the files that would be uploaded from the working directory.
+  data create <store> [driver] [options-json]
+                                        Create a data store (driver defaults to "s3").
+  data ls <store> [prefix]              List the files in a data store, or those under a prefix.
+  data get <store> <path> [localFile]   Download a file, to stdout if no local file is given.
+  data put <store> <path> [localFile]   Upload a file, from stdin if no local file is given.
+  data rm <store> <path>                Delete a file from a data store.
+  data rmstore <store>                  Delete a data store and all files in it.
+
+Options:
+  --json              Print results and errors as JSON.
+  --timeout <seconds> Give up waiting for a job after this many seconds (wait and result).
+  --help              Print this message.
+
+Exit codes:
+  0 success, 1 error, 2 invalid usage, 3 job failed or was canceled,
+  4 API request failed, 5 timed out.
+
+Environment:
+  AEGISBLADE_API_KEY, AEGISBLADE_API_ENDPOINT`;
+
+/**
+ * Thrown for invalid command lines.
+ */
+class UsageError extends AegisBladeError {}
+
+/**
+ * Splits the command line arguments into positional arguments and options.
+ *
+ * @param {string[]} argv
+ * @returns {Object} With `args` and `options` properties.
+ */
+const parseArgs = (argv) => {
+    let args = [];
+    let options = {json: false, follow: false, timeout: null, help: false};
+
+    for (let i = 0; i < argv.length; ++i) {
+        let arg = argv[i];
+
+        if (arg === "--json") {
+            options.json = true;
+        }
+        else if (arg === "--follow" || arg === "-f") {
+            options.follow = true;
+        }
+        else if (arg === "--help" || arg === "-h") {
+            options.help = true;
+        }
+        else if (arg === "--timeout" || arg.startsWith("--timeout=")) {
+            let value = arg === "--timeout" ? argv[++i] : arg.substring("--timeout=".length);
+            options.timeout = Number(value);
+
+            if (!(options.timeout > 0)) {
+                throw new UsageError(`Invalid timeout: ${value}`);
+            }
+        }
+        else if (arg === "--") {
+            args = args.concat(argv.slice(i + 1));
+            break;
+        }
+        else if (arg.startsWith("--")) {
+            throw new UsageError(`Unknown option: ${arg}`);
+        }
+        else {
+            args.push(arg);
+        }
+    }
+
+    return {args, options};
+};
+
+const requireArgs = (args, count, usage) => {
+    if (args.length < count) {
+        throw new UsageError(`Usage: aegisblade ${usage}`);
+    }
+};
+
+const parseJsonArg = (text, description) => {
+    try {
+        return JSON.parse(text);
+    } catch (err) {
+        throw new UsageError(`Invalid ${description} JSON: ${err.message}`);
+    }
+};
+
+/**
+ * Resolves a `<module>#<export>` reference to an exported function, requiring
+ * the module relative to the working directory.
+ */
+const resolveTargetFunction = (reference) => {
+    let separatorIndex = reference.lastIndexOf("#");
+    if (separatorIndex <= 0 || separatorIndex === reference.length - 1) {
+        throw new UsageError(`Expected the target function as <module>#<export>, got: ${reference}`);
+    }
+
+    let modulePath = path.resolve(reference.substring(0, separatorIndex));
+    let exportName = reference.substring(separatorIndex + 1);
+
+    let targetFunction = require(modulePath)[exportName];
+    if (typeof(targetFunction) !== 'function') {
+        throw new UsageError(`Module ${modulePath} does not export a function named ${exportName}.`);
+    }
+
+    return targetFunction;
+};
+
+/**
+ * Pipes a readable stream into a writable stream, resolving once the writable stream
+ * has finished. Standard output is never ended, so it resolves when the readable stream ends.
+ */
+const pipeStreams = (readable, writable) => new Promise((resolve, reject) => {
+    readable.on('error', reject);
+    writable.on('error', reject);
+
+    if (writable === process.stdout) {
+        readable.on('end', resolve);
+        readable.pipe(writable, {end: false});
+    }
+    else {
+        writable.on('finish', resolve);
+        readable.pipe(writable);
+    }
+});
+
+/**
+ * Writes a command's result. In JSON mode the whole result is written,
+ * otherwise the text returned by `format`.
+ */
+const output = (options, result, format) => {
+    if (options.json) {
+        process.stdout.write(JSON.stringify(result, null, 2) + "\n");
+        return;
+    }
+
+    let text = format(result);
+    if (text !== null && text !== undefined) {
+        process.stdout.write(text.endsWith("\n") ? text : text + "\n");
+    }
+};
+
+const formatValue = (value) => typeof(value) === 'string' ? value : util.inspect(value, {depth: null});
+
+const jobExitCode = (statusResult) =>
+    statusResult.jobStatus.toLowerCase() === "finished" ? EXIT_SUCCESS : EXIT_JOB_FAILED;
+
+const commands = {
+    run: async (args, options) => {
+        requireArgs(args, 1, "run <module>#<export> [args-json]");
+
+        let targetFunction = resolveTargetFunction(args[0]);
+
+        let targetArgs = args.length > 1 ? parseJsonArg(args[1], "arguments") : [];
+        if (!Array.isArray(targetArgs)) {
+            targetArgs = [targetArgs];
+        }
+
+        let job = await aegisblade.run(targetFunction, targetArgs);
+
+        output(options, {jobId: job.id}, r => r.jobId);
+    },
+
+    status: async (args, options) => {
+        requireArgs(args, 1, "status <jobId>");
+
+        // aegisblade.job() would fetch the status only to fetch it again here.
+        let statusResult = await Job.create(aegisblade.api, {jobId: args[0]}).getStatus();
+
+        output(options, statusResult, r => r.jobStatus);
+    },
+
+    wait: async (args, options) => {
+        requireArgs(args, 1, "wait <jobId> [--timeout <seconds>]");
+
+        let job = await aegisblade.job(args[0]);
+        let statusResult = await job.wait(options.timeout);
+
+        output(options, statusResult, r => r.jobStatus);
+
+        return jobExitCode(statusResult);
+    },
+
+    logs: async (args, options) => {
+        requireArgs(args, 1, "logs <jobId> [--follow]");
+
+        let job = await aegisblade.job(args[0]);
+
+        if (!options.follow) {
+            let logs = await job.getLogs();
+
+            output(options, {jobId: job.id, logs: logs}, r => r.logs);
+            return;
+        }
+
+        await new Promise((resolve, reject) => {
+            let logStream = job.streamLogs({follow: true});
+
+            logStream.on('data', (chunk) => {
+                if (options.json) {
+                    process.stdout.write(JSON.stringify(chunk) + "\n");
+                }
+                else {
+                    (chunk.stream === "stderr" ? process.stderr : process.stdout).write(chunk.data);
+                }
+            });
+            logStream.on('end', resolve);
+            logStream.on('error', reject);
+        });
+    },
+
+    result: async (args, options) => {
+        requireArgs(args, 1, "result <jobId> [--timeout <seconds>]");
+
+        let job = await aegisblade.job(args[0]);
+        let returnValue = await job.getReturnValue(options.timeout);
+
+        output(options, {jobId: job.id, returnValue: returnValue}, r => formatValue(r.returnValue));
+    },
+
+    cancel: async (args, options) => {
+        requireArgs(args, 1, "cancel <jobId>");
+
+        let job = await aegisblade.job(args[0]);
+        await job.cancel();
+
+        output(options, {jobId: job.id, canceled: true}, r => `Canceled job ${r.jobId}.`);
+    },
+
+    files: async (args, options) => {
+        let files = (await aegisblade.getUploadFiles())
+            .map(f => path.relative(process.cwd(), f))
+            .sort();
+
+        output(options, files, r => r.join("\n"));
+    },
+
+    data: async (args, options) => {
+        requireArgs(args, 2, "data create|ls|get|put|rm|rmstore <store>");
+
+        let [subcommand, storeName, ...rest] = args;
+        let dataStore = aegisblade.data(storeName);
+
+        switch (subcommand) {
+            case "create": {
+                let driver = rest[0] || "s3";
+                let driverOptions = rest.length > 1 ? parseJsonArg(rest[1], "driver options") : {};
+
+                await dataStore.create(driver, driverOptions);
+
+                output(options, {store: storeName, created: true}, r => `Created data store ${r.store}.`);
+                break;
+            }
+            case "ls": {
+                let iterator = dataStore.iterate({prefix: rest[0] || null});
+                let files = [];
+
+                for (let result = await iterator.next(); !result.done; result = await iterator.next()) {
+                    files.push(result.value.path);
+                }
+
+                output(options, files, r => r.join("\n"));
+                break;
+            }
+            case "get": {
+                requireArgs(args, 3, "data get <store> <path> [localFile]");
+
+                if (rest.length > 1) {
+                    await dataStore.downloadToFile(rest[0], rest[1]);
+
+                    output(options, {store: storeName, path: rest[0], localFile: rest[1]},
+                        r => `Downloaded ${r.path} to ${r.localFile}.`);
+                }
+                else if (options.json) {
+                    let data = await dataStore.downloadBuffer(rest[0]);
+
+                    output(options, {store: storeName, path: rest[0], encoding: "base64", data: data.toString("base64")});
+                }
+                else {
+                    await pipeStreams(dataStore.createReadStream(rest[0]), process.stdout);
+                }
+                break;
+            }
+            case "put": {
+                requireArgs(args, 3, "data put <store> <path> [localFile]");
+
+                let byteCount;
+                if (rest.length > 1) {
+                    byteCount = fs.statSync(rest[1]).size;
+                    await dataStore.uploadFile(rest[1], rest[0]);
+                }
+                else {
+                    byteCount = 0;
+                    process.stdin.on('data', chunk => byteCount += chunk.length);
+
+                    await pipeStreams(process.stdin, dataStore.createWriteStream(rest[0]));
+                }
+
+                output(options, {store: storeName, path: rest[0], byteCount: byteCount},
+                    r => `Uploaded ${r.byteCount} bytes to ${r.path}.`);
+                break;
+            }
+            case "rm": {
+                requireArgs(args, 3, "data rm <store> <path>");
+
+                await dataStore.delete(rest[0]);
+
+                output(options, {store: storeName, path: rest[0], deleted: true}, r => `Deleted ${r.path}.`);
+                break;
+            }
+            case "rmstore": {
+                await dataStore.deleteStore();
+
+                output(options, {store: storeName, deleted: true}, r => `Deleted data store ${r.store}.`);
+                break;
+            }
+            default:
+                throw new UsageError(`Unknown data command: ${subcommand}`);
+        }
+    }
+};
+
+const errorExitCode = (err) => {
+    if (err instanceof UsageError) return EXIT_USAGE;
+    if (err instanceof JobFailedError) return EXIT_JOB_FAILED;
+    if (err instanceof ApiError) return EXIT_API_ERROR;
+    if (err instanceof TimeoutError) return EXIT_TIMEOUT;
+
+    return EXIT_ERROR;
+};
+
+const reportError = (err, options) => {
+    if (options.json) {
+        let error = {name: err.name, message: err.message};
+        if (err.statusCode) error.statusCode = err.statusCode;
+        if (err.jobStatus) error.jobStatus = err.jobStatus;
+
+        process.stderr.write(JSON.stringify({error: error}, null, 2) + "\n");
+    }
+    else {
+        process.stderr.write(`aegisblade: ${err.message}\n`);
+
+        if (err instanceof UsageError) {
+            process.stderr.write("Run 'aegisblade --help' for usage.\n");
+        }
+    }
+};
+
+/**
+ * Runs a command line.
+ *
+ * @param {string[]} argv The command line arguments, without the node and script paths.
+ * @returns {Promise<number>} The exit code.
+ */
+const main = async (argv) => {
+    let options = {json: argv.includes("--json")};
+
+    try {
+        let parsed = parseArgs(argv);
+        options = parsed.options;
+
+        let [commandName, ...args] = parsed.args;
+
+        if (options.help || !commandName) {
+            process.stdout.write(USAGE + "\n");
+            return options.help ? EXIT_SUCCESS : EXIT_USAGE;
+        }
+
+        let command = commands[commandName];
+        if (!command) {
+            throw new UsageError(`Unknown command: ${commandName}`);
+        }
+
+        let exitCode = await command(args, options);
+        return exitCode === undefined ? EXIT_SUCCESS : exitCode;
+    } catch (err) {
+        reportError(err, options);
+        return errorExitCode(err);
+    }
+};
+
+module.exports = {main};
+
+if (require.main === module) {
+    main(process.argv.slice(2)).then((exitCode) => {
+        process.exitCode = exitCode;
+    });
+}
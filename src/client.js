@@ -3,14 +3,26 @@
 // This file may be used under the terms of the GNU Lesser General Public License, version 2.1.
 // For more details see: https://www.gnu.org/licenses/lgpl-2.1.html
 
-const {CreateApplicationPayload, CreateJobPayload, ApplicationContextFile, ApplicationPackageInfo, UploadFilePayload, getLibraryInfos} = require("./models");
-const {targetFunctionComponents} = require('./targetFunc');
-const {trace} = require("./trace");
+const {CreateApplicationPayload, CreateJobPayload, ApplicationContextFile, ApplicationPackageInfo, HostDefinition, getLibraryInfos} = require("./models");
+const {serializeEntrypoint, targetFunctionComponents} = require('./targetFunc');
+const {createTrace} = require("./trace");
 const env = require("./env.js");
+const {getProjectConfig} = require("./config");
 const Api = require("./api.js");
 const Job = require("./job.js");
 const DataStore = require("./dataStore.js");
 const JobConfig = require('./jobConfig');
+const LocalHost = require('./localHost.js');
+const ScheduledJob = require("./scheduledJob.js");
+const Application = require("./application.js");
+const {validateCrontab} = require("./util/cron");
+const {throwIfAborted, isAbortError} = require("./util/abort");
+const {mapWithConcurrency, createLimiter} = require("./util/concurrency");
+const JobGroup = require("./jobGroup.js");
+const {uploadApplicationFiles} = require("./uploader");
+const HashCache = require("./hashCache");
+const {defaultSerializer, registerSerializer} = require("./serializer");
+const {AegisBladeError, ApiError, AuthenticationError} = require("./errors");
 
 const DEFAULT_API_ENDPOINT = "https://www.aegisblade.com"
 
@@ -18,21 +30,72 @@ const DEFAULT_API_ENDPOINT = "https://www.aegisblade.com"
  * AegisBlade client. Provides easy methods for starting jobs
  * and accessing a data store. 
  * 
+ * <p>
+ * The api key and endpoint are read from the AEGISBLADE_API_KEY and AEGISBLADE_API_ENDPOINT 
+ * environment variables, or else from the project configuration file: "aegisblade.config.js", 
+ * ".aegisbladerc.json" or the "aegisblade" key of "package.json", in the current working 
+ * directory or one of its ancestors. The file may also define default {@link JobConfig} values 
+ * and named profiles, selected with the AEGISBLADE_PROFILE environment variable.
+ * Options passed to the constructor take precedence over both.
+ * </p>
+ * 
+ * <p>
+ * Each client has its own api key, endpoint, retry policy, serializer and codecs, so several 
+ * clients may be used at once for different accounts or endpoints. Use 
+ * [createClient()]{@link createClient} to create one.
+ * </p>
+ * 
  * @constructor
+ * @param {Object} [options]
+ * @param {string} [options.apiKey] The api key used to access the AegisBlade API.
+ * @param {string} [options.endpoint] The api endpoint. Not recommended outside of internal use.
+ * @param {boolean} [options.verifySsl] (default=true) Whether to verify the ssl certificates of the api endpoint.
+ * @param {JobConfig|Object} [options.defaults] Default job config values for jobs run by this client, 
+ *      applied under the job config passed to each call.
+ * @param {Object} [options.logger] An object with `debug(message)` and `error(message)` methods that 
+ *      receives this client's trace output, whether or not AEGISBLADE_DEBUG_OUTPUT is set.
+ * @param {Object} [options.retry] The retry policy, @see AegisBladeClient#setRetryPolicy
  */
-const AegisBladeClient = function() {
-    this.apikey = env.apiKey;
+const AegisBladeClient = function(options={}) {
+    this.trace = createTrace(options.logger);
+
+    // An invalid project configuration file is reported by the first request or job config that
+    // needs it, rather than here, so requiring the package never fails because of it.
+    let projectConfig = {};
+    let projectConfigError = null;
+    try {
+        projectConfig = getProjectConfig().client;
+    } catch (err) {
+        this.trace("Unable to load the project configuration.");
+        this.trace(err, console.error);
+
+        projectConfigError = err;
+    }
+
+    // Options take precedence over environment variables, which take precedence over the project configuration file.
 
-    this.endpoint = env.apiEndpoint;
+    this.apikey = options.apiKey || env.apiKey || projectConfig.apiKey;
+
+    this.endpoint = options.endpoint || env.apiEndpoint || projectConfig.endpoint;
     if (!this.endpoint)
         this.endpoint = DEFAULT_API_ENDPOINT;
 
-    let verifySsl = true;
-    if (env.verifySsl === '0' || env.verifySsl === 'false') {
-        verifySsl = false;
+    let verifySsl = projectConfig.verifySsl !== false;
+    if (env.verifySsl) {
+        verifySsl = !(env.verifySsl === '0' || env.verifySsl === 'false');
+    }
+    if (options.verifySsl !== undefined && options.verifySsl !== null) {
+        verifySsl = options.verifySsl !== false;
     }
 
-    this.api = new Api(this.apikey, this.endpoint, verifySsl);
+    this.defaults = options.defaults || null;
+
+    this.api = new Api(this.apikey, this.endpoint, verifySsl, options.retry || null, options.logger || null);
+    this.api.configError = projectConfigError;
+    this.localHost = new LocalHost(options.logger || null);
+    this.serializer = defaultSerializer.clone();
+    this.localHost.setSerializer(this.serializer);
+    this.hashCache = new HashCache(null, options.logger || null);
 
     /**
      * Sets the api key used by this client to access the AegisBlade API.
@@ -53,6 +116,109 @@ const AegisBladeClient = function() {
         this.api.setEndpoint(endpoint);
     }
 
+    /**
+     * Creates a {@link JobConfig} starting from this client's default job config values, 
+     * with the values of config applied over them.
+     * 
+     * <p>
+     * Plain objects passed as the job config to methods such as 
+     * [AegisBladeClient.run()]{@link AegisBladeClient#run} are applied over the client's 
+     * defaults in the same way. A {@link JobConfig} instance already holds a value for every 
+     * option, so build it with this method for the client's defaults to apply.
+     * </p>
+     * 
+     * @param {JobConfig|Object} [config]
+     * @returns {JobConfig}
+     * 
+     * @example <caption>Example adding to a client's defaults</caption>
+     * let client = createClient({defaults: {capabilities: [Capability.chrome]}});
+     * 
+     * let jobConfig = client.createJobConfig().withLibrary("../shared");
+     */
+    this.createJobConfig = (config) => new JobConfig(config, this.defaults);
+
+    /**
+     * Sets the policy used to retry failed requests to the AegisBlade API.
+     * 
+     * <p>
+     * Requests that are safe to repeat (fetching status, logs or data, and uploading 
+     * files) are retried after network errors and 408, 429, 500, 502, 503 or 504 responses. 
+     * Other requests, such as creating a job, are only retried when the request 
+     * certainly was not processed. A Retry-After response header overrides the computed delay.
+     * </p>
+     * 
+     * @param {Object} retryPolicy Values that override the default retry policy.
+     * @param {number} [retryPolicy.retries] (default=3) Number of times a failed request is retried. 0 disables retries.
+     * @param {number} [retryPolicy.minDelay] (default=500) Delay in milliseconds before the first retry.
+     * @param {number} [retryPolicy.maxDelay] (default=10000) Maximum delay in milliseconds between retries.
+     * @param {number} [retryPolicy.factor] (default=2) The delay is multiplied by this factor after each retry.
+     * @param {boolean} [retryPolicy.jitter] (default=true) Whether to randomize each delay between 0 and the computed delay.
+     */
+    this.setRetryPolicy = (retryPolicy) => {
+        this.api.setRetryPolicy(retryPolicy);
+    }
+
+    /**
+     * Sets the serializer used to encode job arguments and decode job return values.
+     * 
+     * <p>
+     * Jobs on the "local" host driver use a {@link Serializer} with a tagged encoding that 
+     * round-trips Buffers, Dates, Maps, Sets, BigInts, typed arrays and `undefined` by default. 
+     * Remote jobs use plain JSON by default, and use the serializer only once it is set with 
+     * this method, so only set it if the AegisBlade runtime your jobs run on supports it.
+     * </p>
+     * 
+     * <p>
+     * The serializer must have 
+     * a unique `name` and `encode(value)` and `decode(data)` methods that convert values 
+     * to and from JSON compatible values. The job's process looks the serializer up by name, 
+     * so it must also be set at the top level of a module the target function's module requires.
+     * </p>
+     * 
+     * @param {Serializer|Object} serializer
+     */
+    this.setSerializer = (serializer) => {
+        registerSerializer(serializer);
+
+        this.serializer = serializer;
+        this.api.setSerializer(serializer);
+        this.localHost.setSerializer(serializer);
+    }
+
+    /**
+     * Registers a codec used to serialize instances of a custom class in job 
+     * arguments and return values.
+     * 
+     * <p>
+     * Codecs are only used by the client they are registered on. The job's process decodes 
+     * arguments with the codecs registered on the shared `aegisblade` client, so also register 
+     * the codec on it at the top level of a module the target function's module requires. 
+     * Remote jobs only use codecs once a serializer is set with 
+     * [AegisBladeClient.setSerializer()]{@link AegisBladeClient#setSerializer}.
+     * </p>
+     * 
+     * @param {Object} codec @see Serializer#registerCodec
+     * 
+     * @example <caption>Example returning a custom class from a job</caption>
+     * class Point {
+     *     constructor(x, y) { this.x = x; this.y = y; }
+     * }
+     * 
+     * aegisblade.registerCodec({
+     *     name: "Point",
+     *     type: Point,
+     *     encode: (point) => [point.x, point.y],
+     *     decode: ([x, y]) => new Point(x, y)
+     * });
+     */
+    this.registerCodec = (codec) => {
+        if (typeof(this.serializer.registerCodec) !== 'function') {
+            throw new AegisBladeError(`The serializer '${this.serializer.name}' does not support codecs.`);
+        }
+
+        this.serializer.registerCodec(codec);
+    }
+
     /**
      * Returns a list of files that will be uploaded as part of the 
      * application build. It DOES NOT upload any files or contact the API.
@@ -69,14 +235,123 @@ const AegisBladeClient = function() {
      * @returns {Promise<string[]>} A list of file paths that will be uploaded.
      */
     this.getUploadFiles = async (jobConfig) => {
-        let safeJobConfig = new JobConfig(jobConfig);
+        let safeJobConfig = this.createJobConfig(jobConfig);
 
-        let libraryInfos = await getLibraryInfos(safeJobConfig.libraries);
-        let applicationFiles = await ApplicationContextFile.collect(safeJobConfig.extraFiles, libraryInfos);
+        let libraryInfos = await getLibraryInfos(safeJobConfig.libraries, this.hashCache, this.trace);
+        let applicationFiles = await ApplicationContextFile.collect(safeJobConfig.extraFiles, libraryInfos, safeJobConfig, this.hashCache);
 
         return applicationFiles.map(f => f.filePath);
     };
 
+    /**
+     * Returns a report of everything [AegisBladeClient.run()]{@link AegisBladeClient#run} would 
+     * send to AegisBlade for a job, without creating an application or job.
+     * 
+     * <p>
+     * Each file's `includedBy` lists why it was included: "extraFiles" if it was matched by 
+     * the job config's extraFiles, "require.cache" if it was loaded by the current process, 
+     * "cwd" if it was found when scanning the working directory, or "library" if it is a 
+     * packed library.
+     * </p>
+     * 
+     * <p>
+     * If an api key is set, the API is asked which of the files it does not have yet. 
+     * If the API cannot be reached, `fileHashesRequiringUpload` is null and `apiError` 
+     * holds the error.
+     * </p>
+     * 
+     * @async
+     * @param targetFunction Target function to run on the server. Must be an exported module function.
+     * @param {Array} [args] Arguments for the target function.
+     * @param {JobConfig|Object} [jobConfig]
+     * 
+     * @returns {Promise<Object>} The plan, with properties:
+     *      `entrypoint` (the target function's `file`, `relFile`, `name` and the `serializer` used for its arguments),
+     *      `files` (each with `filePath`, `filePathRelativeToAppContext`, `fileHash`, `fileByteCount` and `includedBy`),
+     *      `packages` (each with `name` and `version`), `capabilities`, `hostDefinition`, 
+     *      `fileByteCount` (the total size of the files), `payloadByteCount` (the total size of the 
+     *      files and the create application and create job requests), `fileHashesRequiringUpload`,
+     *      `uploadByteCount` (the total size of the files requiring upload) and `apiError`.
+     * 
+     * @throws If the target function cannot be located, throws an Error.
+     * @throws {AegisBladeError} If the job config uses the local host driver.
+     * 
+     * @example <caption>Example reviewing the files shipped for a job</caption>
+     * let plan = await aegisblade.plan(processData, [inputPath]);
+     * 
+     * for (let file of plan.files) {
+     *     console.log(file.filePathRelativeToAppContext, file.fileByteCount, file.includedBy.join(", "));
+     * }
+     */
+    this.plan = async (targetFunction, args, jobConfig) => {
+        let safeJobConfig = this.createJobConfig(jobConfig);
+
+        if (safeJobConfig.host.driver === LocalHost.LOCAL_HOST_DRIVER) {
+            throw new AegisBladeError("Plans are not made for the local host driver.");
+        }
+
+        let serializedEntrypoint = serializeEntrypoint(targetFunction, args, this.api.serializer);
+        let entrypoint = Object.assign(targetFunctionComponents(targetFunction), {serializer: this.api.serializer.name});
+
+        let libraryInfos = await getLibraryInfos(safeJobConfig.libraries, this.hashCache, this.trace);
+        let applicationPackages = await ApplicationPackageInfo.collect(libraryInfos, this.trace);
+        let applicationFiles = await ApplicationContextFile.collect(safeJobConfig.extraFiles, libraryInfos, safeJobConfig, this.hashCache);
+
+        let createApplicationPayload = new CreateApplicationPayload(applicationPackages, applicationFiles, safeJobConfig);
+        let createJobPayload = new CreateJobPayload(null, serializedEntrypoint, "instant",
+            safeJobConfig.memory || null, safeJobConfig.host);
+
+        const sumByteCount = (files) => files.reduce((total, f) => total + f.fileByteCount, 0);
+        let fileByteCount = sumByteCount(applicationFiles);
+
+        let fileHashesRequiringUpload = null;
+        let uploadByteCount = null;
+        let apiError = null;
+
+        if (this.apikey) {
+            try {
+                let missingFilesResponse = await this.api.applicationMissingFiles(applicationFiles.map(f => f.fileHash));
+                fileHashesRequiringUpload = missingFilesResponse.fileHashesRequiringUpload;
+                uploadByteCount = sumByteCount(applicationFiles.filter(f => fileHashesRequiringUpload.includes(f.fileHash)));
+            } catch (err) {
+                this.trace("Unable to ask the API which files require upload.");
+                this.trace(err, console.error);
+
+                apiError = err;
+            }
+        }
+
+        return {
+            entrypoint: entrypoint,
+            files: applicationFiles.map(f => Object.assign(f.toJSON(), {includedBy: f.includedBy})),
+            packages: applicationPackages,
+            capabilities: safeJobConfig.capabilities,
+            hostDefinition: new HostDefinition(safeJobConfig.host),
+            fileByteCount: fileByteCount,
+            payloadByteCount: fileByteCount 
+                + Buffer.byteLength(JSON.stringify(createApplicationPayload)) 
+                + Buffer.byteLength(JSON.stringify(createJobPayload)),
+            fileHashesRequiringUpload: fileHashesRequiringUpload,
+            uploadByteCount: uploadByteCount,
+            apiError: apiError
+        };
+    };
+
+    /**
+     * Clears the cache of application file hashes and packed libraries.
+     * 
+     * <p>
+     * To avoid reading and hashing every file on each build, the hashes of application files 
+     * and the archives of packed libraries are cached in the directory set by the 
+     * AEGISBLADE_CACHE_DIR environment variable, or `~/.cache/aegisblade` by default. 
+     * Files are hashed again when their size, modification time or inode changes. 
+     * Clearing the cache is only needed if a file changed without any of these changing.
+     * </p>
+     */
+    this.clearCache = () => {
+        this.hashCache.clear();
+    };
+
     /**
      * Used to access the data store api. 
      * 
@@ -94,7 +369,7 @@ const AegisBladeClient = function() {
      * @returns {DataStore} An object used to access the named data store.
      */
     this.data = (dataStoreName) => {
-        return new DataStore(dataStoreName, this.api);
+        return new DataStore(dataStoreName, this.api, this.serializer);
     };
 
     /**
@@ -113,11 +388,12 @@ const AegisBladeClient = function() {
      * @throws If there is an error fetching the job information from the api.
      */
     this.job = async (jobId) => {
-        var fauxJob = Job.create(this.api, {jobId: jobId});
+        let jobApi = this.localHost.hasJob(jobId) ? this.localHost : this.api;
+        var fauxJob = Job.create(jobApi, {jobId: jobId});
         
         var status = await fauxJob.getStatus();
 
-        return Job.create(this.api, status);
+        return Job.create(jobApi, status);
     }
 
     /**
@@ -131,6 +407,11 @@ const AegisBladeClient = function() {
      * </p>
      * 
      * <p>
+     * To build an application once and run many jobs on it, use 
+     * [AegisBladeClient.buildApplication()]{@link AegisBladeClient#buildApplication} instead.
+     * </p>
+     * 
+     * <p>
      * Refer to the [AegisBladeClient.getUploadFiles()]{@link AegisBladeClient#getUploadFiles} 
      * method if you wish to preview the files that will be uploaded prior 
      * to running a job.
@@ -162,6 +443,13 @@ const AegisBladeClient = function() {
      * </p>
      * 
      * <p>
+     * If the "local" host driver is specified in the jobConfig, no application is 
+     * built and no API Key is required. Instead the target function is run in a
+     * child process on the local machine, and the returned job behaves like a 
+     * job run on AegisBlade.
+     * </p>
+     * 
+     * <p>
      * The returned object of this function may be used to check on the status of the job
      * or application, or you can use the web ui available at https://www.aegisblade.com/app.
      * </p>
@@ -170,77 +458,343 @@ const AegisBladeClient = function() {
      * @param targetFunction Target function to run on the server. Must be an exported module function.
      * @param args Arguments for the target function, to be supplied at runtime on the server.
      * @param {JobConfig|Object} [jobConfig]
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] A signal that stops building the application 
+     *      and creating the job when aborted.
+     * @param {boolean} [options.cancelOnAbort] (default=false) Whether to cancel the job 
+     *      if the signal is aborted after it was created.
+     * @param {number} [options.uploadConcurrency] @see AegisBladeClient#buildApplication
+     * @param {function} [options.onUploadProgress] @see AegisBladeClient#buildApplication
      * @returns {Promise<Job>}
      * 
      * @throws If the target function cannot be located, throws an Error.
+     * @throws {AuthenticationError} If the api key was not specified or is not valid.
+     * @throws {PackagingError} If the application's files or packages cannot be collected.
+     * @throws {UploadError} If any of the application's files failed to upload.
+     * @throws {ApiError} If a request to the AegisBlade API fails.
+     * @throws {AbortError} If the signal is aborted.
      */
-    this.run = async (targetFunction, args, jobConfig) => {
-        if (typeof(targetFunction) !== typeof(() => {})) {
-            throw new Error("targetFunction parameter must be a function");
+    this.run = async (targetFunction, args, jobConfig, options={}) => {
+        const {signal} = options;
+
+        let safeJobConfig = this.createJobConfig(jobConfig);
+
+        if (safeJobConfig.host.driver === LocalHost.LOCAL_HOST_DRIVER) {
+            let serializedEntrypoint = serializeEntrypoint(targetFunction, args, this.localHost.serializer);
+
+            throwIfAborted(signal);
+
+            this.trace("Starting job on local host driver.");
+
+            let startJobResponse = await this.localHost.startJob(serializedEntrypoint);
+            return Job.create(this.localHost, startJobResponse);
         }
 
-        if (!this.apikey) {
-            throw new Error("The ApiKey was not specified. Call `.setApiKey()` or set the AEGISBLADE_API_KEY environment variable.");
+        // Locate the target function before building so a bad target fails fast.
+        serializeEntrypoint(targetFunction, args, this.api.serializer);
+
+        let application = await this.buildApplication(safeJobConfig, options);
+
+        return await application.run(targetFunction, args, null, options);
+    };
+
+    /**
+     * Creates and runs one job on AegisBlade for each set of arguments.
+     * 
+     * <p>
+     * The application is collected, built and uploaded once, exactly as in 
+     * [AegisBladeClient.run()]{@link AegisBladeClient#run}, and then a job is created for 
+     * each entry of argsList. This is much faster than calling 
+     * [AegisBladeClient.run()]{@link AegisBladeClient#run} in a loop.
+     * </p>
+     * 
+     * <p>
+     * A job that could not be created does not stop the other jobs from being created. 
+     * Its error is reported by the returned {@link JobGroup} in place of the job's result.
+     * </p>
+     * 
+     * @async
+     * @param targetFunction Target function to run on the server. Must be an exported module function.
+     * @param {Array[]} argsList A list of argument arrays, one for each job.
+     * @param {JobConfig|Object} [jobConfig]
+     * @param {Object} [options]
+     * @param {number} [options.concurrency] (default=10) The maximum number of jobs created, 
+     *      or requests made by the returned {@link JobGroup}, at once. On the "local" host 
+     *      driver, also the maximum number of jobs running at once.
+     * @param {number} [options.uploadConcurrency] @see AegisBladeClient#buildApplication
+     * @param {function} [options.onUploadProgress] @see AegisBladeClient#buildApplication
+     * @returns {Promise<JobGroup>} The group of jobs, in the same order as argsList.
+     * 
+     * @throws If the target function cannot be located, throws an Error.
+     * 
+     * @example <caption>Example running a function over a list of inputs</caption>
+     * let urls = ["https://www.example.com/1", "https://www.example.com/2"];
+     * let jobGroup = await aegisblade.map(scrapeSite, urls.map(url => [url]), null, {concurrency: 20});
+     * 
+     * let results = await jobGroup.results();
+     */
+    this.map = async (targetFunction, argsList, jobConfig, options={}) => {
+        const concurrency = options.concurrency || 10;
+
+        if (!Array.isArray(argsList)) {
+            throw new AegisBladeError("argsList parameter must be an array");
         }
 
-        let safeJobConfig = new JobConfig(jobConfig);
+        let safeJobConfig = this.createJobConfig(jobConfig);
+        let isLocal = safeJobConfig.host.driver === LocalHost.LOCAL_HOST_DRIVER;
 
-        let {file: targetFunctionModuleFile, 
-            name: targetFunctionName, 
-            relFile: relativeTargetFunctionModuleFile} = targetFunctionComponents(targetFunction);
+        let serializer = isLocal ? this.localHost.serializer : this.api.serializer;
+        let serializedEntrypoints = argsList.map(args => serializeEntrypoint(targetFunction, args, serializer));
 
-        let entrypoint = {
-            functionModuleFile: relativeTargetFunctionModuleFile,
-            functionName: targetFunctionName,
-            functionArguments: args
-        };
+        let startJob;
+        if (isLocal) {
+            this.trace("Starting jobs on local host driver.");
+
+            // Each local job is a process on this machine, so the number running at once is limited too.
+            let limiter = createLimiter(concurrency);
+
+            startJob = async (serializedEntrypoint) => {
+                let startJobResponse = await this.localHost.startJob(serializedEntrypoint, limiter);
+                return Job.create(this.localHost, startJobResponse);
+            };
+        }
+        else {
+            let application = await this.buildApplication(safeJobConfig, {
+                uploadConcurrency: options.uploadConcurrency,
+                onUploadProgress: options.onUploadProgress
+            });
+
+            startJob = async (serializedEntrypoint) => {
+                let createJobResponse = await application.createJob(serializedEntrypoint, "instant");
+                return Job.create(this.api, createJobResponse, application.files);
+            };
+        }
+
+        let items = await mapWithConcurrency(argsList, concurrency, async (args, index) => {
+            let item = {index: index, args: args, job: null, error: null};
+
+            try {
+                item.job = await startJob(serializedEntrypoints[index]);
+            }
+            catch (err) {
+                this.trace(`Error creating job for argument set ${index}.`);
+                this.trace(err, console.error);
+
+                item.error = err;
+            }
+
+            return item;
+        });
+
+        return new JobGroup(items, concurrency);
+    };
+
+    /**
+     * Creates a scheduled job on AegisBlade that runs the target function 
+     * each time the crontab expression is triggered.
+     * 
+     * <p>
+     * The application is built exactly as in [AegisBladeClient.run()]{@link AegisBladeClient#run}, 
+     * then a scheduled job is created for it instead of a job that runs immediately. 
+     * Each time the schedule is triggered a new {@link Job} is created, which may be 
+     * listed with [ScheduledJob.listJobs()]{@link ScheduledJob#listJobs}.
+     * </p>
+     * 
+     * <p>
+     * The crontab expression uses the standard five field format 
+     * (minute, hour, day of month, month, day of week) and is validated before 
+     * anything is uploaded. The macros "@hourly", "@daily", "@weekly", "@monthly"
+     * and "@yearly" are also accepted.
+     * </p>
+     * 
+     * @async
+     * @param targetFunction Target function to run on the server. Must be an exported module function.
+     * @param args Arguments for the target function, to be supplied at runtime on the server.
+     * @param {string} crontab The crontab expression, e.g. "0 2 * * *" for 2am every day.
+     * @param {JobConfig|Object} [jobConfig]
+     * @returns {Promise<ScheduledJob>}
+     * 
+     * @throws If the crontab expression is not valid.
+     * @throws If the target function cannot be located, throws an Error.
+     * 
+     * @example <caption>Example scheduling a nightly job</caption>
+     * let scheduledJob = await aegisblade.schedule(scrapeSite, ["https://www.example.com"], "0 2 * * *");
+     * 
+     * // Later...
+     * await scheduledJob.pause();
+     */
+    this.schedule = async (targetFunction, args, crontab, jobConfig) => {
+        validateCrontab(crontab);
+        serializeEntrypoint(targetFunction, args, this.api.serializer);
+
+        let safeJobConfig = this.createJobConfig(jobConfig);
+
+        if (safeJobConfig.host.driver === LocalHost.LOCAL_HOST_DRIVER) {
+            throw new AegisBladeError("Scheduled jobs are not supported by the local host driver.");
+        }
+
+        let application = await this.buildApplication(safeJobConfig);
+
+        return await application.schedule(targetFunction, args, crontab);
+    };
 
-        let serializedEntrypoint = JSON.stringify(entrypoint);
+    /**
+     * Used to get a {@link ScheduledJob} instance for an already existing scheduled job.
+     *
+     * @async 
+     * @param {string} scheduledJobId The id ([ScheduledJob.id]{@link ScheduledJob#id}) of the already existing scheduled job.
+     * 
+     * @returns {Promise<ScheduledJob>} A {@link ScheduledJob} instance.
+     * 
+     * @throws If the scheduled job with scheduledJobId does not exist.
+     */
+    this.scheduledJob = async (scheduledJobId) => {
+        let status = await this.api.scheduledJobStatus(scheduledJobId);
+
+        return ScheduledJob.create(this.api, status);
+    };
+
+    /**
+     * Lists all scheduled jobs in the account.
+     * 
+     * @async
+     * @returns {Promise<ScheduledJob[]>} A {@link ScheduledJob} instance for each scheduled job.
+     */
+    this.listScheduledJobs = async () => {
+        let scheduledJobResponses = await this.api.scheduledJobList();
+
+        return scheduledJobResponses.map(r => ScheduledJob.create(this.api, r));
+    };
+
+    /**
+     * Builds an application on AegisBlade without running any jobs.
+     * 
+     * <p>
+     * Collects and uploads the application files and packages exactly as 
+     * [AegisBladeClient.run()]{@link AegisBladeClient#run} does, then returns the 
+     * {@link Application}. Jobs may then be run on the application at any time, 
+     * from this process or another one using [AegisBladeClient.application()]{@link AegisBladeClient#application}.
+     * </p>
+     * 
+     * <p>
+     * Use [Application.waitForBuild()]{@link Application#waitForBuild} to find out 
+     * whether the build succeeded before running any jobs.
+     * </p>
+     * 
+     * @async
+     * @param {JobConfig|Object} [jobConfig] The job configuration used to locate extra files
+     *      and libraries, and the default configuration for jobs run on the application.
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] A signal that stops building the application when aborted.
+     * @param {number} [options.uploadConcurrency] (default=4) The maximum number of file upload 
+     *      requests made at once.
+     * @param {function} [options.onUploadProgress] Called after each application file is uploaded 
+     *      with an object with `filesDone`, `filesTotal`, `bytesDone`, `bytesTotal` and `currentFile` 
+     *      (the path of the uploaded file relative to the application's root) properties. Files that 
+     *      were already uploaded by an earlier build are not counted.
+     * @returns {Promise<Application>}
+     * 
+     * @throws {AuthenticationError} If the api key was not specified or is not valid.
+     * @throws {PackagingError} If the application's files or packages cannot be collected.
+     * @throws {UploadError} If any of the application's files failed to upload. The other files
+     *      are still uploaded, and the failed files are listed in the error's `failures`.
+     * @throws {ApiError} If a request to the AegisBlade API fails.
+     * @throws {AbortError} If the signal is aborted.
+     * 
+     * @example <caption>Example pre-building an application in CI</caption>
+     * let application = await aegisblade.buildApplication(jobConfig);
+     * let buildStatus = await application.waitForBuild();
+     * 
+     * console.log(`Application ${application.id} build status: ${buildStatus.buildStatus}`);
+     * 
+     * // Reporting upload progress...
+     * let application = await aegisblade.buildApplication(jobConfig, {
+     *     onUploadProgress: (p) => console.log(`Uploaded ${p.filesDone}/${p.filesTotal} files: ${p.currentFile}`)
+     * });
+     * 
+     * // Later, possibly in another process...
+     * let application = await aegisblade.application(applicationId);
+     * let job = await application.run(processData, [inputPath]);
+     */
+    this.buildApplication = async (jobConfig, options={}) => {
+        const {signal} = options;
+
+        if (!this.apikey) {
+            throw new AuthenticationError("The ApiKey was not specified. Call `.setApiKey()` or set the AEGISBLADE_API_KEY environment variable.");
+        }
+
+        // run() and map() pass a JobConfig they already created, which must not have the defaults applied again.
+        let safeJobConfig = jobConfig instanceof JobConfig ? jobConfig : this.createJobConfig(jobConfig);
+
+        if (safeJobConfig.host.driver === LocalHost.LOCAL_HOST_DRIVER) {
+            throw new AegisBladeError("Applications are not built for the local host driver.");
+        }
+
+        let libraryInfos = await getLibraryInfos(safeJobConfig.libraries, this.hashCache, this.trace);
+        let applicationPackages = await ApplicationPackageInfo.collect(libraryInfos, this.trace);
+        let applicationFiles = await ApplicationContextFile.collect(safeJobConfig.extraFiles, libraryInfos, safeJobConfig, this.hashCache);
 
-        let libraryInfos = await getLibraryInfos(safeJobConfig.libraries);
-        let applicationPackages = await ApplicationPackageInfo.collect(libraryInfos);
-        let applicationFiles = await ApplicationContextFile.collect(safeJobConfig.extraFiles, libraryInfos);
+        throwIfAborted(signal);
 
         let createApplicationPayload = new CreateApplicationPayload(applicationPackages, applicationFiles, safeJobConfig);
         let createApplicationResponse;
 
         try {
-            trace("Sending create application payload.");
-            trace(createApplicationPayload, console.dir);
+            this.trace("Sending create application payload.");
+            this.trace(createApplicationPayload, console.dir);
 
-            createApplicationResponse = await this.api.createApplication(createApplicationPayload);
+            createApplicationResponse = await this.api.createApplication(createApplicationPayload, signal);
             
-            trace("Received Create Application response.");
-            trace(createApplicationResponse, console.dir);
+            this.trace("Received Create Application response.");
+            this.trace(createApplicationResponse, console.dir);
         } catch (err) {
-            trace(err, console.error);
-            throw new Error("Unable to create application, file an issue at https://github.com/brthor/aegisblade if it persists. Error: ") + err.toString();
+            this.trace(err, console.error);
+
+            if (isAbortError(err)) {
+                throw err;
+            }
+
+            throw ApiError.create("Unable to create application, file an issue at https://github.com/brthor/aegisblade if it persists. Error: " + err.message, {
+                statusCode: err.statusCode,
+                body: err.body,
+                url: err.url,
+                headers: err.headers,
+                code: err.code,
+                cause: err
+            });
         }
 
-        for (let uploadFileHash of createApplicationResponse.fileHashesRequiringUpload) {
-            let appFile = applicationFiles.find((f) => f.fileHash === uploadFileHash);
-            let fileContents = appFile.fileContents;
+        let filesRequiringUpload = createApplicationResponse.fileHashesRequiringUpload
+            .map(uploadFileHash => applicationFiles.find((f) => f.fileHash === uploadFileHash));
 
-            let uploadFilePayload = new UploadFilePayload(appFile, fileContents,
-                createApplicationResponse.applicationId);
+        await uploadApplicationFiles(this.api, createApplicationResponse.applicationId, filesRequiringUpload, {
+            signal: signal,
+            concurrency: options.uploadConcurrency,
+            onProgress: options.onUploadProgress
+        });
 
-            await this.api.uploadFile(uploadFilePayload);
-        }
-
-        let createJobPayload = new CreateJobPayload(
-            createApplicationResponse.applicationId, serializedEntrypoint, "instant", 
-            safeJobConfig.memoryMb || null, safeJobConfig.host);
-        
-        trace("Sending create job payload");
-        trace(createJobPayload, console.dir);
+        throwIfAborted(signal);
 
-        let createJobResponse = await this.api.createJob(createJobPayload);
+        return new Application(this.api, createApplicationResponse.applicationId, 
+            applicationFiles.map(f => f.toJSON()), safeJobConfig);
+    };
 
-        trace("Received create job response");
-        trace(createJobResponse, console.dir);
+    /**
+     * Used to get an {@link Application} instance for an already existing application.
+     * 
+     * @async 
+     * @param {string} applicationId The id ([Application.id]{@link Application#id}) of the already existing application.
+     * @param {JobConfig|Object} [jobConfig] The default configuration for jobs run on the application.
+     * 
+     * @returns {Promise<Application>} An {@link Application} instance.
+     * 
+     * @throws If the application with applicationId does not exist.
+     */
+    this.application = async (applicationId, jobConfig) => {
+        let status = await this.api.applicationStatus(applicationId);
 
-        return Job.create(this.api, createJobResponse);
-    }
+        return Application.create(this.api, status, this.createJobConfig(jobConfig));
+    };
 };
 
 module.exports = AegisBladeClient;
\ No newline at end of file
@@ -0,0 +1,231 @@
+// A part of the AegisBlade Node.js Client Library
+// Copyright (C) 2019 Thornbury Organization, Bryan Thornbury
+// This file may be used under the terms of the GNU Lesser General Public License, version 2.1.
+// For more details see: https://www.gnu.org/licenses/lgpl-2.1.html
+
+/**
+ * Loads the project configuration file.
+ *
+ * <p>
+ * The configuration is read from the first of "aegisblade.config.js", ".aegisbladerc.json"
+ * or the "aegisblade" key of "package.json" found in the working directory or its ancestors,
+ * or from the file set by the AEGISBLADE_CONFIG environment variable.
+ * </p>
+ *
+ * <p>
+ * The `apiKey`, `endpoint` and `verifySsl` keys configure the client, `profiles` holds
+ * named profiles with the same keys as the file, and `profile` names the profile used
+ * when the AEGISBLADE_PROFILE environment variable is not set. All other keys are
+ * default {@link JobConfig} values. Library paths are relative to the file's directory.
+ * </p>
+ *
+ * <p>
+ * Values set in code take precedence over environment variables, which take precedence
+ * over the profile's values, which take precedence over the file's values. Since
+ * "aegisblade.config.js" is uploaded with the application like other ".js" files, prefer
+ * the AEGISBLADE_API_KEY environment variable or ".aegisbladerc.json" for api keys.
+ * </p>
+ *
+ * @example <caption>Example .aegisbladerc.json</caption>
+ * {
+ *     "libraries": ["../shared"],
+ *     "capabilities": ["chrome"],
+ *     "host": {"options": {"region": "us-east-1"}},
+ *     "profiles": {
+ *         "staging": {"endpoint": "https://staging.example.com"},
+ *         "prod": {"host": {"options": {"instanceType": "m5.large"}}}
+ *     }
+ * }
+ *
+ * @module config
+ * @private
+ */
+
+const fs = require('fs');
+const path = require('path');
+const env = require('./env');
+const merge = require('./util/merge');
+const {AegisBladeError} = require('./errors');
+
+const CONFIG_FILE_NAMES = ["aegisblade.config.js", ".aegisbladerc.json"];
+const PACKAGE_JSON_KEY = "aegisblade";
+const CLIENT_KEYS = ["apiKey", "endpoint", "verifySsl"];
+const PROFILE_KEYS = ["profiles", "profile"];
+
+let cachedConfig = null;
+let cachedError = null;
+
+const pick = (obj, keys) => {
+    let result = {};
+    for (let key of keys) {
+        if (obj[key] !== undefined) {
+            result[key] = obj[key];
+        }
+    }
+
+    return result;
+};
+
+const omit = (obj, keys) => pick(obj, Object.keys(obj).filter(key => !keys.includes(key)));
+
+/**
+ * Reads a configuration file, or the "aegisblade" key of a package.json file.
+ *
+ * @param {string} filePath
+ * @returns {Object} The configuration, or null if a package.json file has no "aegisblade" key.
+ *
+ * @throws {AegisBladeError} If the file cannot be read or parsed.
+ */
+const readConfigFile = (filePath) => {
+    let config;
+
+    try {
+        if (filePath.endsWith(".js")) {
+            config = require(path.resolve(filePath));
+        }
+        else {
+            config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+
+            if (path.basename(filePath) === "package.json") {
+                config = config[PACKAGE_JSON_KEY] || null;
+            }
+        }
+    } catch (err) {
+        throw new AegisBladeError(`Unable to load AegisBlade config file: ${filePath}. ${err.message}`, {cause: err});
+    }
+
+    if (config !== null && (typeof(config) !== 'object' || Array.isArray(config))) {
+        throw new AegisBladeError(`AegisBlade config file must contain an object: ${filePath}`);
+    }
+
+    return config;
+};
+
+/**
+ * Searches a directory and its ancestors for a configuration file.
+ *
+ * @param {string} dir
+ * @returns {Object} With `filePath` and `config` properties, or null if none was found.
+ */
+const findConfigFile = (dir) => {
+    dir = path.resolve(dir);
+
+    while (true) {
+        for (let fileName of CONFIG_FILE_NAMES.concat(["package.json"])) {
+            let filePath = path.join(dir, fileName);
+            if (!fs.existsSync(filePath))
+                continue;
+
+            let config = readConfigFile(filePath);
+            if (config !== null) {
+                return {filePath, config};
+            }
+        }
+
+        let parentDir = path.dirname(dir);
+        if (parentDir === dir) {
+            return null;
+        }
+
+        dir = parentDir;
+    }
+};
+
+/**
+ * Applies a profile over a configuration.
+ *
+ * @param {Object} config The contents of a configuration file.
+ * @param {string} [profileName] The profile to apply. Defaults to the file's `profile`.
+ * @param {string} [filePath] The file's path, for error messages.
+ * @returns {Object} With `profile` (the applied profile's name), `client` (the client settings)
+ *      and `jobConfig` (the default job config values) properties.
+ *
+ * @throws {AegisBladeError} If the profile is not defined.
+ */
+const resolveConfig = (config, profileName, filePath) => {
+    profileName = profileName || config.profile || null;
+
+    let profile = {};
+    if (profileName) {
+        profile = (config.profiles || {})[profileName];
+
+        if (!profile) {
+            throw new AegisBladeError(`AegisBlade profile was not found: ${profileName}` + (filePath ? ` (in ${filePath})` : ""));
+        }
+    }
+
+    const excludedKeys = CLIENT_KEYS.concat(PROFILE_KEYS);
+
+    return {
+        profile: profileName,
+        client: Object.assign(pick(config, CLIENT_KEYS), pick(profile, CLIENT_KEYS)),
+        jobConfig: merge({}, omit(config, excludedKeys), omit(profile, excludedKeys))
+    };
+};
+
+/**
+ * Loads the project configuration.
+ *
+ * @returns {Object} @see resolveConfig
+ *
+ * @throws {AegisBladeError} If the configuration file cannot be loaded or the profile is not defined.
+ */
+const loadProjectConfig = () => {
+    let found = env.configFile
+        ? {filePath: env.configFile, config: readConfigFile(env.configFile) || {}}
+        : findConfigFile(process.cwd());
+
+    if (!found && env.profile) {
+        throw new AegisBladeError(`AegisBlade profile was set but no config file was found: ${env.profile}`);
+    }
+
+    if (!found) {
+        return {filePath: null, profile: null, client: {}, jobConfig: {}};
+    }
+
+    let projectConfig = Object.assign({filePath: found.filePath}, resolveConfig(found.config, env.profile, found.filePath));
+
+    // Library paths are relative to the file, which may be in an ancestor of the working directory.
+    let libraries = projectConfig.jobConfig.libraries;
+    if (Array.isArray(libraries)) {
+        let configDir = path.dirname(path.resolve(found.filePath));
+        projectConfig.jobConfig.libraries = libraries.map(library => path.resolve(configDir, library));
+    }
+
+    return projectConfig;
+};
+
+/**
+ * Returns the project configuration, loading it on first use. An error loading it
+ * is thrown again by every later call.
+ *
+ * @returns {Object} @see resolveConfig
+ *
+ * @throws {AegisBladeError} If the configuration file cannot be loaded or the profile is not defined.
+ */
+const getProjectConfig = () => {
+    if (cachedError) {
+        throw cachedError;
+    }
+
+    if (!cachedConfig) {
+        try {
+            cachedConfig = loadProjectConfig();
+        } catch (err) {
+            cachedError = err;
+            throw err;
+        }
+    }
+
+    return cachedConfig;
+};
+
+/**
+ * Returns a copy of the default job config values of the project configuration,
+ * safe to modify.
+ *
+ * @returns {Object}
+ */
+const getJobConfigDefaults = () => JSON.parse(JSON.stringify(getProjectConfig().jobConfig));
+
+module.exports = {findConfigFile, resolveConfig, getProjectConfig, getJobConfigDefaults};
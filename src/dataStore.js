@@ -3,8 +3,159 @@
 // This file may be used under the terms of the GNU Lesser General Public License, version 2.1.
 // For more details see: https://www.gnu.org/licenses/lgpl-2.1.html
 
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const crypto = require('crypto');
+const {promisify} = require('util');
+const {PassThrough, Writable} = require('stream');
 const {CreateDataStorePayload} = require("./models");
-const {readFile, writeFile} = require("./util/file");
+const {mkdirp, hashFile, listFilesRecursive} = require("./util/file");
+const {mapWithConcurrency} = require("./util/concurrency");
+const {AegisBladeError} = require("./errors");
+const {defaultSerializer} = require("./serializer");
+
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+
+const SYNC_DIRECTIONS = ["upload", "download"];
+const DEFAULT_SYNC_CONCURRENCY = 4;
+const JSON_CONTENT_TYPE = "application/json";
+
+const createTempFilePath = () => path.join(os.tmpdir(), `aegisblade-${crypto.randomBytes(8).toString('hex')}`);
+
+const isGzipped = (data) => data.length >= 2 && data[0] === 0x1f && data[1] === 0x8b;
+
+/**
+ * Returns whether a local file has the same contents as a data store file, comparing 
+ * the hash if the data store reported it and otherwise the size. Files are assumed 
+ * to differ if the data store reported neither.
+ */
+const isSameFile = async (localFilePath, entry) => {
+    if (entry.size === null) {
+        return false;
+    }
+
+    if (fs.statSync(localFilePath).size !== entry.size) {
+        return false;
+    }
+
+    if (entry.hash) {
+        return await hashFile(localFilePath) === entry.hash;
+    }
+
+    return true;
+};
+
+/**
+ * Converts an entry of a data store listing to the form returned by {@link DataStore}.
+ */
+const toDataStoreEntry = (entry) => ({
+    path: entry.path,
+    size: entry.size !== undefined ? entry.size : null,
+    lastModified: entry.lastModified ? new Date(entry.lastModified) : null,
+    hash: entry.hash || null,
+    contentType: entry.contentType || null
+});
+
+/**
+ * Iterates over the files of a data store, requesting one page of the listing at a time, 
+ * returned by [DataStore.iterate()]{@link DataStore#iterate}.
+ * 
+ * <p>
+ * [next()]{@link DataStoreIterator#next} resolves to `{value, done}` like the iterators of 
+ * async generators, and the iterator can be used with `for await` where it is supported.
+ * </p>
+ * 
+ * @private
+ */
+class DataStoreIterator {
+    constructor(dataStore, options) {
+        this.dataStore = dataStore;
+        this.prefix = options.prefix || null;
+        this.pageSize = options.pageSize || null;
+
+        this.entries = [];
+        this.cursor = null;
+        this.done = false;
+    }
+
+    async next() {
+        while (this.entries.length === 0 && !this.done) {
+            let page = await this.dataStore.list({prefix: this.prefix, limit: this.pageSize, cursor: this.cursor});
+
+            this.entries = page.entries;
+            this.cursor = page.nextCursor;
+            this.done = page.nextCursor === null;
+        }
+
+        if (this.entries.length === 0) {
+            return {value: undefined, done: true};
+        }
+
+        return {value: this.entries.shift(), done: false};
+    }
+}
+
+// Symbol.asyncIterator is not defined before node 10.
+if (typeof(Symbol.asyncIterator) === 'symbol') {
+    DataStoreIterator.prototype[Symbol.asyncIterator] = function() {
+        return this;
+    };
+}
+
+/**
+ * A writable stream that uploads its data to a data store file when it ends, returned 
+ * by [DataStore.createWriteStream()]{@link DataStore#createWriteStream}.
+ * 
+ * <p>
+ * The data is spooled to a temporary file, since the storage service requires the size 
+ * of an upload before it starts, and then streamed from that file. The "finish" event is 
+ * emitted once the upload has completed.
+ * </p>
+ * 
+ * @private
+ */
+class DataStoreWriteStream extends Writable {
+    constructor(dataStore, dataStorePath) {
+        super();
+
+        this.dataStore = dataStore;
+        this.dataStorePath = dataStorePath;
+        this.tempFilePath = createTempFilePath();
+        this.tempFile = fs.createWriteStream(this.tempFilePath);
+
+        this.tempFile.on('error', err => this.destroy(err));
+    }
+
+    _write(chunk, encoding, callback) {
+        this.tempFile.write(chunk, encoding, callback);
+    }
+
+    _final(callback) {
+        this.tempFile.end(() => {
+            this.dataStore.uploadFile(this.tempFilePath, this.dataStorePath).then(() => {
+                this.removeTempFile();
+                callback();
+            }, (err) => {
+                this.removeTempFile();
+                callback(err);
+            });
+        });
+    }
+
+    _destroy(err, callback) {
+        this.tempFile.destroy();
+        this.removeTempFile();
+
+        callback(err);
+    }
+
+    removeTempFile() {
+        fs.unlink(this.tempFilePath, () => {});
+    }
+}
 
 /**
  * A utility for accessing data stores and their files.
@@ -40,10 +191,12 @@ class DataStore {
      * 
      * @param {string} name The unique name of the data store.
      * @param {Api} api The internal class for performing API operations.
+     * @param {Serializer|Object} [serializer] The default serializer of [DataStore.putObject()]{@link DataStore#putObject}.
      */
-    constructor(name, api) {
+    constructor(name, api, serializer) {
         this.name = name;
         this.api = api;
+        this.serializer = serializer || defaultSerializer;
     }
 
     /**
@@ -65,28 +218,44 @@ class DataStore {
     /**
      * Uploads a file from the local machine to the data store.
      * 
+     * <p>
+     * The file is streamed from disk, so files of any size may be uploaded 
+     * without reading them into memory.
+     * </p>
+     * 
      * @param {string} localFilePath The path of the file to upload on the local machine.
      * @param {string} dataStorePath The storage path the file inside the data store.
+     * @param {Object} [options]
+     * @param {string} [options.contentType] (default="application/octet-stream") The content type stored with the file.
      */
-    async uploadFile(localFilePath, dataStorePath) {
-        let data = await readFile(localFilePath, null);
+    async uploadFile(localFilePath, dataStorePath, options={}) {
+        let stats = await new Promise((resolve, reject) => 
+            fs.stat(localFilePath, (err, stats) => err ? reject(err) : resolve(stats)));
 
-        await this.api.dataStoreUpload(this.name, data, dataStorePath);
+        await this.api.dataStoreUpload(this.name, () => fs.createReadStream(localFilePath), 
+            dataStorePath, stats.size, options.contentType || null);
     }
 
     /**
-     * Uploads a string to the data store.
+     * Uploads a string or Buffer to the data store.
      * 
-     * @param {string} data The data string to store in the data store.
+     * @param {string|Buffer} data The data to store in the data store.
      * @param {string} dataStorePath The path in which to store the data inside the data store.
+     * @param {Object} [options]
+     * @param {string} [options.contentType] (default="application/octet-stream") The content type stored with the file.
      */
-    async uploadData(data, dataStorePath) {
-        await this.api.dataStoreUpload(this.name, data, dataStorePath);
+    async uploadData(data, dataStorePath, options={}) {
+        await this.api.dataStoreUpload(this.name, data, dataStorePath, null, options.contentType || null);
     }
 
     /**
      * Downloads data from the data store and returns it as a string.
      * 
+     * <p>
+     * The data is decoded as UTF-8. Use [DataStore.downloadBuffer()]{@link DataStore#downloadBuffer} 
+     * for binary data.
+     * </p>
+     * 
      * @param {string} dataStorePath The path of the data inside the data store to download.
      * 
      * @returns {string} The downloaded data as a string.
@@ -96,16 +265,207 @@ class DataStore {
         return data;
     }
 
+    /**
+     * Downloads data from the data store and returns it as a Buffer.
+     * 
+     * @param {string} dataStorePath The path of the data inside the data store to download.
+     * 
+     * @returns {Promise<Buffer>} The downloaded data.
+     */
+    async downloadBuffer(dataStorePath) {
+        return await this.api.dataStoreDownload(this.name, dataStorePath, "buffer");
+    }
+
     /**
      * Downloads data from the data store and writes it to a local file.
      * 
+     * <p>
+     * The data is streamed to disk, so files of any size may be downloaded without 
+     * holding them in memory. If the download fails, the partially written file is removed.
+     * </p>
+     * 
      * @param {string} dataStorePath The path of the data inside the data store to download.
      * @param {string} localFilePath Path of a local file that the data will be written to.
      */
     async downloadToFile(dataStorePath, localFilePath) {
-        let data = await this.api.dataStoreDownload(this.name, dataStorePath);
+        let responseStream = await this.api.dataStoreDownload(this.name, dataStorePath, "stream");
+
+        await new Promise((resolve, reject) => {
+            let fileStream = fs.createWriteStream(localFilePath);
+
+            const fail = (err) => {
+                responseStream.destroy();
+                fileStream.destroy();
+                fs.unlink(localFilePath, () => reject(err));
+            };
+
+            responseStream.on('error', fail);
+            responseStream.on('aborted', () => fail(new Error(`Download of ${dataStorePath} was aborted.`)));
+            fileStream.on('error', fail);
+            fileStream.on('finish', resolve);
+
+            responseStream.pipe(fileStream);
+        });
+    }
+
+    /**
+     * Returns a readable stream of a file in the data store.
+     * 
+     * <p>
+     * The download starts immediately. Errors, including the file not being found, 
+     * are emitted as "error" events on the stream.
+     * </p>
+     * 
+     * @param {string} dataStorePath The path of the data inside the data store to download.
+     * 
+     * @returns {stream.Readable}
+     * 
+     * @example <caption>Example decompressing a file from a data store</caption>
+     * dataStore.createReadStream("results/output.csv.gz")
+     *     .pipe(zlib.createGunzip())
+     *     .pipe(fs.createWriteStream("output.csv"));
+     */
+    createReadStream(dataStorePath) {
+        let stream = new PassThrough();
+
+        this.api.dataStoreDownload(this.name, dataStorePath, "stream").then((responseStream) => {
+            responseStream.on('error', err => stream.destroy(err));
+            responseStream.on('aborted', () => stream.destroy(new Error(`Download of ${dataStorePath} was aborted.`)));
+            responseStream.pipe(stream);
+        }, (err) => {
+            stream.destroy(err);
+        });
+
+        return stream;
+    }
+
+    /**
+     * Returns a writable stream that uploads the data written to it to a file in the data store.
+     * 
+     * <p>
+     * The data is written to a temporary file and uploaded when the stream ends. 
+     * The "finish" event is emitted once the upload has completed, and upload errors 
+     * are emitted as "error" events.
+     * </p>
+     * 
+     * @param {string} dataStorePath The path in which to store the data inside the data store.
+     * 
+     * @returns {stream.Writable}
+     * 
+     * @example <caption>Example compressing data into a data store</caption>
+     * fs.createReadStream("output.csv")
+     *     .pipe(zlib.createGzip())
+     *     .pipe(dataStore.createWriteStream("results/output.csv.gz"))
+     *     .on("finish", () => console.log("Uploaded."));
+     */
+    createWriteStream(dataStorePath) {
+        return new DataStoreWriteStream(this, dataStorePath);
+    }
+
+    /**
+     * Uploads a value to the data store as JSON, encoded as UTF-8.
+     * 
+     * @param {string} dataStorePath The path in which to store the value inside the data store.
+     * @param {*} value A value that `JSON.stringify` accepts.
+     * @param {Object} [options]
+     * @param {string} [options.contentType] (default="application/json") The content type stored with the file.
+     * @param {boolean} [options.gzip] (default=false) Whether to store the JSON gzip compressed. 
+     *      [DataStore.getJson()]{@link DataStore#getJson} decompresses it automatically.
+     * 
+     * @example <caption>Example saving a job's summary</caption>
+     * await aegisblade.data("results").putJson("runs/2019-10-01/summary.json", {rows: 1024, errors: 0});
+     */
+    async putJson(dataStorePath, value, options={}) {
+        await this.putText(dataStorePath, JSON.stringify(value), options);
+    }
+
+    /**
+     * Downloads a JSON file from the data store and parses it. Gzip compressed files are 
+     * decompressed automatically.
+     * 
+     * @param {string} dataStorePath The path of the file inside the data store.
+     * 
+     * @returns {Promise<*>} The parsed value.
+     * 
+     * @throws {AegisBladeError} If the file is not valid JSON.
+     */
+    async getJson(dataStorePath) {
+        let text = await this.getText(dataStorePath);
+
+        try {
+            return JSON.parse(text);
+        } catch (err) {
+            throw new AegisBladeError(`Data store file is not valid JSON: ${dataStorePath}. ${err.message}`, {cause: err});
+        }
+    }
+
+    /**
+     * Uploads a value to the data store, encoded with a serializer.
+     * 
+     * <p>
+     * Unlike [DataStore.putJson()]{@link DataStore#putJson}, values that JSON does not preserve, 
+     * such as Dates, Maps, Buffers and instances of classes with registered codecs, are 
+     * round-tripped by [DataStore.getObject()]{@link DataStore#getObject}. The client's serializer 
+     * is used by default, see [AegisBladeClient.setSerializer()]{@link AegisBladeClient#setSerializer}.
+     * </p>
+     * 
+     * @param {string} dataStorePath The path in which to store the value inside the data store.
+     * @param {*} value The value to store.
+     * @param {Object} [options]
+     * @param {Serializer|Object} [options.serializer] The serializer to encode the value with.
+     * @param {string} [options.contentType] (default="application/json") The content type stored with the file.
+     * @param {boolean} [options.gzip] (default=false) Whether to store the encoded value gzip compressed.
+     */
+    async putObject(dataStorePath, value, options={}) {
+        let serializer = options.serializer || this.serializer;
+
+        await this.putText(dataStorePath, JSON.stringify(serializer.encode(value)), options);
+    }
+
+    /**
+     * Downloads a value stored with [DataStore.putObject()]{@link DataStore#putObject} and decodes it.
+     * 
+     * @param {string} dataStorePath The path of the file inside the data store.
+     * @param {Object} [options]
+     * @param {Serializer|Object} [options.serializer] The serializer the value was encoded with. 
+     *      The client's serializer by default.
+     * 
+     * @returns {Promise<*>} The decoded value.
+     * 
+     * @throws {AegisBladeError} If the file is not valid JSON or cannot be decoded.
+     */
+    async getObject(dataStorePath, options={}) {
+        let serializer = options.serializer || this.serializer;
+
+        return serializer.decode(await this.getJson(dataStorePath));
+    }
+
+    /**
+     * Uploads a string encoded as UTF-8, gzip compressed if requested.
+     * 
+     * @private
+     */
+    async putText(dataStorePath, text, options) {
+        let data = Buffer.from(text, 'utf8');
+        if (options.gzip) {
+            data = await gzip(data);
+        }
+
+        await this.uploadData(data, dataStorePath, {contentType: options.contentType || JSON_CONTENT_TYPE});
+    }
+
+    /**
+     * Downloads a file as a UTF-8 string, decompressing it if it is gzip compressed.
+     * 
+     * @private
+     */
+    async getText(dataStorePath) {
+        let data = await this.downloadBuffer(dataStorePath);
+        if (isGzipped(data)) {
+            data = await gunzip(data);
+        }
 
-        await writeFile(localFilePath, data);
+        return data.toString('utf8');
     }
 
     /**
@@ -117,6 +477,69 @@ class DataStore {
         await this.api.dataStoreDeleteFile(this.name, dataStorePath);
     }
 
+    /**
+     * Copies a file within the data store.
+     * 
+     * <p>
+     * The file is downloaded to a temporary file and uploaded again, so files of any size 
+     * may be copied without holding them in memory. The file's content type is kept 
+     * unless another is given.
+     * </p>
+     * 
+     * @param {string} sourcePath The path of the file to copy inside the data store.
+     * @param {string} destinationPath The path of the copy inside the data store. An existing file is replaced.
+     * @param {Object} [options]
+     * @param {string} [options.contentType] The content type stored with the copy.
+     * 
+     * @throws {NotFoundError} If the source file does not exist.
+     */
+    async copy(sourcePath, destinationPath, options={}) {
+        let contentType = options.contentType || null;
+        if (!contentType) {
+            let entry = await this.stat(sourcePath);
+            contentType = entry ? entry.contentType : null;
+        }
+
+        let tempFilePath = createTempFilePath();
+
+        try {
+            await this.downloadToFile(sourcePath, tempFilePath);
+            await this.uploadFile(tempFilePath, destinationPath, {contentType});
+        } finally {
+            fs.unlink(tempFilePath, () => {});
+        }
+    }
+
+    /**
+     * Moves a file within the data store, by copying it and then deleting the original.
+     * 
+     * @param {string} sourcePath The path of the file to move inside the data store.
+     * @param {string} destinationPath The new path of the file inside the data store. An existing file is replaced.
+     * @param {Object} [options] @see DataStore#copy
+     * 
+     * @throws {NotFoundError} If the source file does not exist.
+     */
+    async move(sourcePath, destinationPath, options={}) {
+        // Deleting the original would delete the only copy.
+        if (sourcePath === destinationPath) {
+            return;
+        }
+
+        await this.copy(sourcePath, destinationPath, options);
+        await this.delete(sourcePath);
+    }
+
+    /**
+     * Renames a file in the data store. The same as [DataStore.move()]{@link DataStore#move}.
+     * 
+     * @param {string} sourcePath The path of the file to rename inside the data store.
+     * @param {string} destinationPath The new path of the file inside the data store.
+     * @param {Object} [options] @see DataStore#copy
+     */
+    async rename(sourcePath, destinationPath, options={}) {
+        await this.move(sourcePath, destinationPath, options);
+    }
+
     /**
      * Deletes this entire data store and all files in it.
      * 
@@ -134,7 +557,228 @@ class DataStore {
      * @returns {Promise<string[]>} A list of all files in the data store.
      */
     async listFiles() {
-        return await this.api.dataStoreListFiles(this.name);
+        let iterator = this.iterate();
+        let files = [];
+
+        for (let result = await iterator.next(); !result.done; result = await iterator.next()) {
+            files.push(result.value.path);
+        }
+
+        return files;
+    }
+
+    /**
+     * Lists a page of the files in the data store, in path order.
+     * 
+     * <p>
+     * Each entry has the file's `path`, `size` in bytes, `lastModified` date, `hash` 
+     * (the sha256 of its contents, as hex) and `contentType`. Metadata the data store 
+     * does not report is null.
+     * </p>
+     * 
+     * <p>
+     * With a delimiter, files whose path continues past the prefix with the delimiter 
+     * are not listed, and their common prefixes, up to and including the delimiter, 
+     * are listed in `prefixes` instead, like the directories of a file system.
+     * </p>
+     * 
+     * @param {Object} [options]
+     * @param {string} [options.prefix] Only list files whose path starts with this prefix.
+     * @param {string} [options.delimiter] Group files by their path up to this delimiter, usually "/".
+     * @param {number} [options.limit] (default=1000) The maximum number of entries and prefixes in the page.
+     * @param {string} [options.cursor] The `nextCursor` of the previous page, to list the next page.
+     * 
+     * @returns {Promise<Object>} The page, with `entries`, `prefixes` and `nextCursor` (null on the last page) properties.
+     * 
+     * @example <caption>Example listing the top level of a data store</caption>
+     * let page = await aegisblade.data("results").list({delimiter: "/"});
+     * console.log(page.prefixes); // ["2019-09-30/", "2019-10-01/"]
+     */
+    async list(options={}) {
+        let page = await this.api.dataStoreList(this.name, options);
+
+        return {
+            entries: page.entries.map(toDataStoreEntry),
+            prefixes: page.prefixes,
+            nextCursor: page.nextCursor
+        };
+    }
+
+    /**
+     * Returns an async iterator over the entries of all files in the data store, 
+     * requesting one page of the listing at a time.
+     * 
+     * @param {Object} [options]
+     * @param {string} [options.prefix] Only list files whose path starts with this prefix.
+     * @param {number} [options.pageSize] (default=1000) The number of entries requested at a time.
+     * 
+     * @returns {AsyncIterator<Object>} An iterator of entries, as returned by [DataStore.list()]{@link DataStore#list}.
+     * 
+     * @example <caption>Example totalling the size of a data store</caption>
+     * let totalSize = 0;
+     * for await (let entry of aegisblade.data("results").iterate()) {
+     *     totalSize += entry.size;
+     * }
+     */
+    iterate(options={}) {
+        return new DataStoreIterator(this, options);
+    }
+
+    /**
+     * Returns the metadata of a file in the data store, without downloading it.
+     * 
+     * @param {string} dataStorePath The path of the file inside the data store.
+     * 
+     * @returns {Promise<Object>} The file's entry, as returned by [DataStore.list()]{@link DataStore#list}, 
+     *      or null if the file does not exist.
+     */
+    async stat(dataStorePath) {
+        let entry = await this.api.dataStoreStat(this.name, dataStorePath);
+
+        return entry ? toDataStoreEntry(entry) : null;
+    }
+
+    /**
+     * Returns whether a file exists in the data store.
+     * 
+     * @param {string} dataStorePath The path of the file inside the data store.
+     * 
+     * @returns {Promise<boolean>}
+     */
+    async exists(dataStorePath) {
+        return await this.stat(dataStorePath) !== null;
+    }
+
+    /**
+     * Uploads the files of a local directory, recursively, to the data store under a prefix. 
+     * Only files that are new or changed are uploaded.
+     * 
+     * @param {string} localDir The local directory to upload.
+     * @param {string} [prefix] The path inside the data store to upload the files under.
+     * @param {Object} [options] @see DataStore#sync
+     * 
+     * @returns {Promise<Object>} @see DataStore#sync
+     */
+    async uploadDirectory(localDir, prefix, options={}) {
+        return await this.sync(localDir, prefix, Object.assign({}, options, {direction: "upload"}));
+    }
+
+    /**
+     * Downloads the files in the data store under a prefix to a local directory. 
+     * Only files that are new or changed are downloaded.
+     * 
+     * @param {string} prefix The path inside the data store of the files to download.
+     * @param {string} localDir The local directory to download the files to. Created if it does not exist.
+     * @param {Object} [options] @see DataStore#sync
+     * 
+     * @returns {Promise<Object>} @see DataStore#sync
+     */
+    async downloadDirectory(prefix, localDir, options={}) {
+        return await this.sync(localDir, prefix, Object.assign({}, options, {direction: "download"}));
+    }
+
+    /**
+     * Synchronizes a local directory with the files in the data store under a prefix.
+     * 
+     * <p>
+     * Files are compared with the data store's listing, by hash when the data store reports 
+     * one and otherwise by size, and only the files that are missing or differ at the 
+     * destination are transferred. With the `delete` option, files at the destination that 
+     * are not at the source are deleted. Transfers run concurrently.
+     * </p>
+     * 
+     * @param {string} localDir The local directory.
+     * @param {string} [prefix] The path inside the data store. The whole data store by default.
+     * @param {Object} [options]
+     * @param {string} [options.direction] (default="upload") "upload" to make the data store match the 
+     *      local directory, or "download" to make the local directory match the data store.
+     * @param {boolean} [options.delete] (default=false) Whether to delete files at the destination that are not at the source.
+     * @param {boolean} [options.dryRun] (default=false) Whether to only report what would be transferred and deleted.
+     * @param {number} [options.concurrency] (default=4) The maximum number of files compared or transferred at once.
+     * 
+     * @returns {Promise<Object>} A report with `transferred`, `unchanged` and `deleted` lists of file 
+     *      paths, relative to the directory and prefix, and the `dryRun` flag.
+     * 
+     * @throws {AegisBladeError} If the direction is invalid or a data store path would be downloaded outside localDir.
+     * 
+     * @example <caption>Example publishing a job's results</caption>
+     * let report = await aegisblade.data("results").sync("./output", "runs/2019-10-01", {delete: true});
+     * console.log(`Uploaded ${report.transferred.length} files.`);
+     */
+    async sync(localDir, prefix, options={}) {
+        const direction = options.direction || "upload";
+        const concurrency = options.concurrency || DEFAULT_SYNC_CONCURRENCY;
+
+        if (!SYNC_DIRECTIONS.includes(direction)) {
+            throw new AegisBladeError(`Invalid sync direction: ${direction}. Expected "upload" or "download".`);
+        }
+
+        let normalizedPrefix = (prefix || "").replace(/^\/+|\/+$/g, "");
+        let remotePrefix = normalizedPrefix ? normalizedPrefix + "/" : "";
+
+        let remoteEntries = {};
+        let iterator = this.iterate({prefix: remotePrefix});
+        for (let result = await iterator.next(); !result.done; result = await iterator.next()) {
+            remoteEntries[result.value.path.substring(remotePrefix.length)] = result.value;
+        }
+
+        // Local files are keyed by their forward slash separated path relative to localDir.
+        let localFiles = {};
+        if (direction === "upload" || fs.existsSync(localDir)) {
+            for (let relPath of listFilesRecursive(localDir)) {
+                localFiles[relPath.split(path.sep).join("/")] = path.join(localDir, relPath);
+            }
+        }
+
+        let [sourceFiles, destinationFiles] = direction === "upload"
+            ? [localFiles, remoteEntries]
+            : [remoteEntries, localFiles];
+
+        let transferred = [];
+        let unchanged = [];
+
+        await mapWithConcurrency(Object.keys(sourceFiles), concurrency, async (relPath) => {
+            let isUnchanged = localFiles[relPath] && remoteEntries[relPath]
+                && await isSameFile(localFiles[relPath], remoteEntries[relPath]);
+
+            (isUnchanged ? unchanged : transferred).push(relPath);
+        });
+
+        let deleted = options.delete
+            ? Object.keys(destinationFiles).filter(relPath => !sourceFiles[relPath])
+            : [];
+
+        transferred.sort();
+        unchanged.sort();
+        deleted.sort();
+
+        if (!options.dryRun) {
+            await mapWithConcurrency(transferred, concurrency, async (relPath) => {
+                if (direction === "upload") {
+                    await this.uploadFile(localFiles[relPath], remotePrefix + relPath);
+                    return;
+                }
+
+                let localFilePath = path.join(localDir, ...relPath.split("/"));
+                if (path.relative(localDir, localFilePath).split(path.sep).includes("..")) {
+                    throw new AegisBladeError(`Data store path would be downloaded outside of ${localDir}: ${remotePrefix + relPath}`);
+                }
+
+                mkdirp(path.dirname(path.resolve(localFilePath)));
+                await this.downloadToFile(remotePrefix + relPath, localFilePath);
+            });
+
+            await mapWithConcurrency(deleted, concurrency, async (relPath) => {
+                if (direction === "upload") {
+                    await this.delete(remotePrefix + relPath);
+                }
+                else {
+                    fs.unlinkSync(localFiles[relPath]);
+                }
+            });
+        }
+
+        return {transferred, unchanged, deleted, dryRun: !!options.dryRun};
     }
 }
 
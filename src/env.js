@@ -13,7 +13,7 @@
  *      The api endpoint to be used by the client. NOT RECOMMENDED outside of internal usage.
  * 
  * @property {string} defaultHostdriver Value of AEGISBLADE_DEFAULT_HOSTDRIVER environment variable.
- *      The default hostdriver to be used by the client. ("ec2" only currently)
+ *      The default hostdriver to be used by the client. ("ec2" or "local")
  * 
  * @property {string} debugOutput Value of AEGISBLADE_DEBUG_OUTPUT environment variable.
  *      A flag to output debug trace logs.
@@ -24,6 +24,17 @@
  * @property {string} verifySsl Value of AEGISBLADE_VERIFY_SSL environment variable.
  *      Whether or not to verify the ssl certificates of the api endpoint. 
  *      NOT RECOMMENDED outside of internal usage.
+ * 
+ * @property {string} cacheDir Value of AEGISBLADE_CACHE_DIR environment variable.
+ *      The directory of the cache of application file hashes and packed libraries.
+ *      Defaults to `~/.cache/aegisblade`.
+ * 
+ * @property {string} profile Value of AEGISBLADE_PROFILE environment variable.
+ *      The name of the profile of the project configuration file to use.
+ * 
+ * @property {string} configFile Value of AEGISBLADE_CONFIG environment variable.
+ *      The path of the project configuration file, instead of searching the 
+ *      current working directory and its ancestors for one.
  */
 module.exports = {
     apiKey: process.env["AEGISBLADE_API_KEY"],
@@ -36,5 +47,11 @@ module.exports = {
 
     libraries: process.env["AEGISBLADE_LIBRARIES"],
 
-    verifySsl: process.env["AEGISBLADE_VERIFY_SSL"]
+    verifySsl: process.env["AEGISBLADE_VERIFY_SSL"],
+
+    cacheDir: process.env["AEGISBLADE_CACHE_DIR"],
+
+    profile: process.env["AEGISBLADE_PROFILE"],
+
+    configFile: process.env["AEGISBLADE_CONFIG"]
 }
\ No newline at end of file
@@ -0,0 +1,292 @@
+// A part of the AegisBlade Node.js Client Library
+// Copyright (C) 2019 Thornbury Organization, Bryan Thornbury
+// This file may be used under the terms of the GNU Lesser General Public License, version 2.1.
+// For more details see: https://www.gnu.org/licenses/lgpl-2.1.html
+
+/**
+ * The base class of all errors thrown by the AegisBlade client.
+ *
+ * @example <caption>Example handling errors by type</caption>
+ * const {aegisblade, errors} = require("aegisblade");
+ *
+ * try {
+ *     await job.getReturnValue();
+ * } catch (err) {
+ *     if (err instanceof errors.JobFailedError) {
+ *         console.error(`Job failed with status ${err.jobStatus}`);
+ *     } else if (err instanceof errors.ApiError && err.statusCode >= 500) {
+ *         // retry later...
+ *     } else {
+ *         throw err;
+ *     }
+ * }
+ */
+class AegisBladeError extends Error {
+    /**
+     * @param {string} message
+     * @param {Object} [options]
+     * @param {Error} [options.cause] The underlying error.
+     */
+    constructor(message, options={}) {
+        super(message);
+
+        this.name = this.constructor.name;
+
+        /**
+         * The underlying error, if any.
+         *
+         * @type {Error}
+         */
+        this.cause = options.cause || null;
+    }
+}
+
+/**
+ * Thrown when a request to the AegisBlade API fails, either with an
+ * unsuccessful response or a network error.
+ */
+class ApiError extends AegisBladeError {
+    /**
+     * @param {string} message
+     * @param {Object} [options]
+     * @param {number} [options.statusCode] The response status code.
+     * @param {string} [options.body] The response body.
+     * @param {string} [options.url] The requested url.
+     * @param {Object} [options.headers] The response headers.
+     * @param {string} [options.code] The network error code, such as "ECONNRESET".
+     * @param {Error} [options.cause] The underlying error.
+     */
+    constructor(message, options={}) {
+        super(message, options);
+
+        /**
+         * The response status code, or null for network errors.
+         *
+         * @type {number}
+         */
+        this.statusCode = options.statusCode || null;
+
+        /**
+         * The response body, or null for network errors.
+         *
+         * @type {string}
+         */
+        this.body = options.body === undefined ? null : options.body;
+
+        /**
+         * The requested url.
+         *
+         * @type {string}
+         */
+        this.url = options.url || null;
+
+        /**
+         * The response headers, or null for network errors.
+         *
+         * @type {Object}
+         */
+        this.headers = options.headers || null;
+
+        /**
+         * The network error code (such as "ECONNRESET"), or null for unsuccessful responses.
+         *
+         * @type {string}
+         */
+        this.code = options.code || null;
+    }
+
+    /**
+     * Creates an {@link ApiError}, or the subclass matching the status code.
+     *
+     * @param {string} message
+     * @param {Object} [options] @see ApiError
+     * @returns {ApiError}
+     * @private
+     */
+    static create(message, options={}) {
+        if (options.statusCode === 401 || options.statusCode === 403) {
+            return new AuthenticationError(message, options);
+        }
+
+        if (options.statusCode === 404) {
+            return new NotFoundError(message, options);
+        }
+
+        return new ApiError(message, options);
+    }
+}
+
+/**
+ * Thrown when the api key is missing or is rejected by the AegisBlade API.
+ */
+class AuthenticationError extends ApiError {}
+
+/**
+ * Thrown when the AegisBlade API responds that a resource, such as a job or a
+ * data store file, does not exist.
+ */
+class NotFoundError extends ApiError {}
+
+/**
+ * Thrown when application files could not be uploaded. The files that failed
+ * are listed in [UploadError.failures]{@link UploadError#failures}, the other
+ * files were uploaded.
+ */
+class UploadError extends ApiError {
+    /**
+     * @param {string} message
+     * @param {Object} [options] @see ApiError
+     * @param {Object[]} [options.failures] The failed files.
+     */
+    constructor(message, options={}) {
+        super(message, options);
+
+        /**
+         * The files that failed to upload. Each failure has `filePath` (the path relative
+         * to the application's root) and `error` properties.
+         *
+         * @type {Object[]}
+         */
+        this.failures = options.failures || [];
+    }
+}
+
+/**
+ * Thrown when a job ended without a return value, because it finished
+ * with an error or was canceled.
+ */
+class JobFailedError extends AegisBladeError {
+    /**
+     * @param {string} message
+     * @param {Object} [options]
+     * @param {string} [options.jobId] The id of the job.
+     * @param {Object} [options.statusResult] The final status result of the job.
+     * @param {Error} [options.cause] The underlying error.
+     */
+    constructor(message, options={}) {
+        super(message, options);
+
+        /**
+         * The id of the job.
+         *
+         * @type {string}
+         */
+        this.jobId = options.jobId || null;
+
+        /**
+         * The final status result of the job.
+         *
+         * @type {Object}
+         */
+        this.statusResult = options.statusResult || null;
+
+        /**
+         * The final status of the job, such as "error" or "canceled".
+         *
+         * @type {string}
+         */
+        this.jobStatus = this.statusResult ? this.statusResult.jobStatus : null;
+    }
+}
+
+/**
+ * Thrown when a job's target function threw an error. The remote error's name, message,
+ * stack and custom properties are captured by the job's process.
+ *
+ * <p>
+ * The remote stack's file paths are mapped onto the application's relative file
+ * paths when the job was run from this client, so they point at your local files.
+ * </p>
+ *
+ * @example <caption>Example inspecting a remote error</caption>
+ * try {
+ *     await job.getReturnValue();
+ * } catch (err) {
+ *     if (err instanceof errors.RemoteJobError) {
+ *         console.error(err.remoteStack);
+ *         console.error(err.properties.code);
+ *     }
+ * }
+ */
+class RemoteJobError extends JobFailedError {
+    /**
+     * @param {string} message
+     * @param {Object} [options]
+     * @param {string} [options.jobId] The id of the job.
+     * @param {Object} [options.statusResult] The final status result of the job.
+     * @param {string} [options.remoteName] The name of the remote error, such as "TypeError".
+     * @param {string} [options.remoteMessage] The message of the remote error.
+     * @param {string} [options.remoteStack] The stack trace of the remote error.
+     * @param {Object} [options.properties] The custom properties of the remote error.
+     */
+    constructor(message, options={}) {
+        super(message, options);
+
+        /**
+         * The name of the remote error, such as "TypeError".
+         *
+         * @type {string}
+         */
+        this.remoteName = options.remoteName || "Error";
+
+        /**
+         * The message of the remote error.
+         *
+         * @type {string}
+         */
+        this.remoteMessage = options.remoteMessage || "";
+
+        /**
+         * The stack trace of the remote error, or null if it was not captured.
+         *
+         * @type {string}
+         */
+        this.remoteStack = options.remoteStack || null;
+
+        /**
+         * The custom properties of the remote error, such as `code`.
+         *
+         * @type {Object}
+         */
+        this.properties = options.properties || {};
+
+        if (this.remoteStack) {
+            this.stack += "\nCaused by remote error: " + this.remoteStack;
+        }
+    }
+}
+
+/**
+ * Thrown when waiting for a job or application takes longer than the expiration.
+ */
+class TimeoutError extends AegisBladeError {}
+
+/**
+ * Thrown when the application's files or packages cannot be collected, such as
+ * when `npm list` or `npm pack` fails, or a library directory is not valid.
+ */
+class PackagingError extends AegisBladeError {}
+
+/**
+ * Thrown when an operation is aborted with an AbortSignal.
+ */
+class AbortError extends AegisBladeError {
+    constructor(message="The operation was aborted.", options={}) {
+        super(message, options);
+
+        this.code = "ABORT_ERR";
+    }
+}
+
+module.exports = {
+    AegisBladeError,
+    ApiError,
+    AuthenticationError,
+    NotFoundError,
+    UploadError,
+    JobFailedError,
+    RemoteJobError,
+    TimeoutError,
+    PackagingError,
+    AbortError
+};
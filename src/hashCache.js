@@ -0,0 +1,236 @@
+// A part of the AegisBlade Node.js Client Library
+// Copyright (C) 2019 Thornbury Organization, Bryan Thornbury
+// This file may be used under the terms of the GNU Lesser General Public License, version 2.1.
+// For more details see: https://www.gnu.org/licenses/lgpl-2.1.html
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const {mkdirp} = require('./util/file');
+const {createTrace} = require('./trace');
+const env = require('./env');
+
+const MANIFEST_FILE = "manifest.json";
+const LIBRARIES_DIR = "libraries";
+const MANIFEST_VERSION = 1;
+
+// Entries not used for this long are dropped when the manifest is saved.
+const MAX_ENTRY_AGE_MS = 30 * 24 * 60 * 60 * 1000;
+
+// Files modified this recently are not cached, because a later modification
+// within the same mtime granularity would go unnoticed.
+const MIN_FILE_AGE_MS = 2000;
+
+// Directories left out of a library's source fingerprint.
+const IGNORED_LIBRARY_DIRS = ["node_modules", ".git"];
+
+const DEFAULT_CACHE_DIR = path.join(os.homedir(), ".cache", "aegisblade");
+
+const createEmptyManifest = () => ({version: MANIFEST_VERSION, files: {}, libraries: {}});
+
+const fileKey = (stats) => `${stats.size}:${stats.mtimeMs}:${stats.ino}`;
+
+/*
+ * Internal class for the persistent cache of application file hashes and packed
+ * library archives, so unchanged files are not hashed again and unchanged libraries
+ * are not packed again.
+ *
+ * Files are keyed by their absolute path, size, mtime and inode. Libraries are keyed
+ * by their absolute path and a fingerprint of the same properties of their source files.
+ * Errors reading or writing the cache are traced and otherwise ignored.
+ *
+ * @constructor
+ */
+const HashCache = function(cacheDir=null, logger=null) {
+    this.cacheDir = cacheDir || env.cacheDir || DEFAULT_CACHE_DIR;
+    this.trace = createTrace(logger);
+    this.manifest = null;
+    this.changed = false;
+
+    this.manifestPath = () => path.join(this.cacheDir, MANIFEST_FILE);
+
+    this.load = () => {
+        if (this.manifest)
+            return this.manifest;
+
+        try {
+            let manifest = JSON.parse(fs.readFileSync(this.manifestPath(), 'utf8'));
+            this.manifest = manifest.version === MANIFEST_VERSION ? manifest : createEmptyManifest();
+        } catch (err) {
+            if (err.code !== 'ENOENT') {
+                this.trace("Unable to read the hash cache, starting with an empty cache.");
+                this.trace(err, console.error);
+            }
+
+            this.manifest = createEmptyManifest();
+        }
+
+        return this.manifest;
+    };
+
+    this.save = () => {
+        if (!this.manifest || !this.changed)
+            return;
+
+        let now = Date.now();
+        for (let section of [this.manifest.files, this.manifest.libraries]) {
+            for (let key of Object.keys(section)) {
+                if (now - section[key].usedAt > MAX_ENTRY_AGE_MS) {
+                    delete section[key];
+                }
+            }
+        }
+
+        try {
+            mkdirp(this.cacheDir);
+
+            // Written to a temporary file first so a concurrent reader never sees a partial manifest.
+            let tempPath = `${this.manifestPath()}.${process.pid}.tmp`;
+            fs.writeFileSync(tempPath, JSON.stringify(this.manifest));
+            fs.renameSync(tempPath, this.manifestPath());
+
+            this.changed = false;
+        } catch (err) {
+            this.trace("Unable to write the hash cache.");
+            this.trace(err, console.error);
+        }
+    };
+
+    /*
+     * Returns the cached hash of a file, or null if the file changed since it was cached.
+     */
+    this.getFileHash = (filePath, stats) => {
+        let entry = this.load().files[path.resolve(filePath)];
+        if (!entry || entry.key !== fileKey(stats))
+            return null;
+
+        entry.usedAt = Date.now();
+        this.changed = true;
+
+        return entry.hash;
+    };
+
+    this.setFileHash = (filePath, stats, hash) => {
+        if (Date.now() - stats.mtimeMs < MIN_FILE_AGE_MS)
+            return;
+
+        this.load().files[path.resolve(filePath)] = {key: fileKey(stats), hash: hash, usedAt: Date.now()};
+        this.changed = true;
+    };
+
+    /*
+     * Computes a fingerprint of a library's source files from their paths, sizes, mtimes and inodes.
+     *
+     * Returns null, so the library is packed without the cache, if the library contains symlinks,
+     * whose targets may change without changing the fingerprint, or cannot be read.
+     */
+    this.librarySourceKey = (libraryPath) => {
+        let hash = crypto.createHash('sha256');
+
+        const visit = (dir) => {
+            for (let name of fs.readdirSync(dir).sort()) {
+                let filePath = path.join(dir, name);
+                let stats = fs.lstatSync(filePath);
+
+                if (stats.isSymbolicLink()) {
+                    throw new Error(`Library contains a symlink: ${filePath}`);
+                }
+                else if (stats.isDirectory()) {
+                    if (!IGNORED_LIBRARY_DIRS.includes(name)) {
+                        visit(filePath);
+                    }
+                }
+                else {
+                    hash.update(`${path.relative(libraryPath, filePath)}:${fileKey(stats)}\n`);
+                }
+            }
+        };
+
+        try {
+            visit(libraryPath);
+        } catch (err) {
+            this.trace(`Not caching the archive of library: ${libraryPath}`);
+            this.trace(err, console.error);
+
+            return null;
+        }
+
+        return hash.digest('hex');
+    };
+
+    /*
+     * Returns the cached archive of a library, with `archivePath`, `archiveFileName`, `fileHash`
+     * and `fileByteCount` properties, or null if the library's sources changed since it was cached.
+     */
+    this.getLibraryArchive = (libraryPath, sourceKey) => {
+        let entry = this.load().libraries[path.resolve(libraryPath)];
+        if (!entry || entry.sourceKey !== sourceKey || !fs.existsSync(entry.archivePath))
+            return null;
+
+        entry.usedAt = Date.now();
+        this.changed = true;
+
+        return entry;
+    };
+
+    /*
+     * Copies a packed library archive into the cache and records it.
+     *
+     * @returns {string} The path of the cached archive, or the original path if it could not be cached.
+     */
+    this.setLibraryArchive = (libraryPath, sourceKey, archivePath, archiveFileName, fileHash, fileByteCount) => {
+        let cachedArchivePath = path.join(this.cacheDir, LIBRARIES_DIR, fileHash, archiveFileName);
+
+        try {
+            mkdirp(path.dirname(cachedArchivePath));
+            fs.writeFileSync(cachedArchivePath, fs.readFileSync(archivePath));
+        } catch (err) {
+            this.trace(`Unable to cache the archive of library: ${libraryPath}`);
+            this.trace(err, console.error);
+
+            return archivePath;
+        }
+
+        this.load().libraries[path.resolve(libraryPath)] = {
+            sourceKey: sourceKey,
+            archivePath: cachedArchivePath,
+            archiveFileName: archiveFileName,
+            fileHash: fileHash,
+            fileByteCount: fileByteCount,
+            usedAt: Date.now()
+        };
+        this.changed = true;
+
+        return cachedArchivePath;
+    };
+
+    /*
+     * Deletes the manifest and cached library archives.
+     */
+    this.clear = () => {
+        this.manifest = createEmptyManifest();
+        this.changed = false;
+
+        const removeRecursive = (target) => {
+            if (!fs.existsSync(target))
+                return;
+
+            if (fs.statSync(target).isDirectory()) {
+                for (let name of fs.readdirSync(target)) {
+                    removeRecursive(path.join(target, name));
+                }
+
+                fs.rmdirSync(target);
+            }
+            else {
+                fs.unlinkSync(target);
+            }
+        };
+
+        removeRecursive(this.manifestPath());
+        removeRecursive(path.join(this.cacheDir, LIBRARIES_DIR));
+    };
+};
+
+module.exports = HashCache;
@@ -3,9 +3,13 @@
 // This file may be used under the terms of the GNU Lesser General Public License, version 2.1.
 // For more details see: https://www.gnu.org/licenses/lgpl-2.1.html
 
-const {trace} = require("./trace");
+const EventEmitter = require('events');
+const {throwIfAborted, abortableTimeout, createAbortController, isAbortError} = require("./util/abort");
+const LogStream = require("./logStream");
+const {parseErrorRecord, mapStackTrace} = require("./util/remoteError");
+const {JobFailedError, RemoteJobError, TimeoutError, AegisBladeError} = require("./errors");
 
-const timeout = ms => new Promise(res => setTimeout(res, ms));
+const WATCHED_EVENTS = ["status", "running", "finished", "error", "canceled"];
 
 /**
  * An object for fetching job-related information from the API.
@@ -20,15 +24,40 @@ const timeout = ms => new Promise(res => setTimeout(res, ms));
  * In AegisBlade, a job is conceptually a task to execute part
  * of an application.
  * </p>
+ * 
+ * <p>
+ * A job is an EventEmitter. Adding a listener for any of the events below starts
+ * polling the job's status, and polling stops once the job has completed or no 
+ * listeners for these events remain. The events are also emitted while calling
+ * [Job.wait()]{@link Job#wait} or [Job.getStatus()]{@link Job#getStatus}.
+ * </p>
+ * 
+ * <ul>
+ *  <li>"status" (statusResult) - The job's status changed.</li>
+ *  <li>"running" (statusResult) - The job started running.</li>
+ *  <li>"finished" (statusResult) - The job finished running.</li>
+ *  <li>"canceled" (statusResult) - The job was canceled.</li>
+ *  <li>"error" (err) - The job finished with an error, in which case `err` is a {@link RemoteJobError}
+ *      (or a {@link JobFailedError} if the remote error was not captured), or polling the job's status failed.</li>
+ * </ul>
+ * 
+ * @example <caption>Example notifying when a job's status changes</caption>
+ * let job = await aegisblade.run(processData, [inputPath]);
+ * 
+ * job.on("status", (statusResult) => console.log(`Job is ${statusResult.jobStatus}`));
+ * job.on("finished", async () => console.log(await job.getReturnValue()));
+ * job.on("error", (err) => console.error(err));
  */
-class Job {
+class Job extends EventEmitter {
     /**
      * Do not use the constructor directly. Use [AegisBladeClient.job()]{@link AegisBladeClient#job} 
      * to get a reference to an existing job or [AegisBladeClient.run()]{@link AegisBladeClient#run}
      * to start a new job.
      */
-    constructor(api, jobId, applicationId, jobType)
+    constructor(api, jobId, applicationId, jobType, applicationFiles=null)
     {
+        super();
+
         this.api = api;
 
         /**
@@ -53,43 +82,68 @@ class Job {
          */
         this.applicationId = applicationId;
 
+        // The application's file manifest, used to map remote stack traces onto local file paths.
+        this.applicationFiles = applicationFiles;
+
         this.finalStatusResult = null;
 
+        // Kept once fetched, since jobs on the local host driver are dropped once it has been read.
+        this.returnValueText = null;
+
         this.finalStates = ["finished", "canceled"];
         this.errorStates = ["error"];
+
+        this.lastJobStatus = null;
+        this.watchController = null;
+
+        this.on('newListener', (event) => {
+            if (WATCHED_EVENTS.includes(event)) {
+                this.startWatching();
+            }
+        });
+
+        this.on('removeListener', (event) => {
+            if (WATCHED_EVENTS.includes(event) && !this.hasWatchListeners()) {
+                this.stopWatching();
+            }
+        });
     }
 
     /**
      * Retrieves the status of this job from AegisBlade servers.
      * 
-     * @param {number} [retries] Number of times to retry in case of HTTP errors.
+     * <p>
+     * Failed requests are retried according to the client's retry policy, 
+     * see [AegisBladeClient.setRetryPolicy()]{@link AegisBladeClient#setRetryPolicy}.
+     * </p>
+     * 
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] A signal that stops retrying the request when aborted.
+     * 
      * @returns {Object} An object detailing the status of the job and any errors encountered.
      */
-    async getStatus(retries=7) {
-        for (let i=0; i<retries; ++i) {
-            try {
-                let statusResult = await this.api.jobStatus(this.id);
-        
-                trace(`Job (id: ${this.id}), received status result.`);
-                trace(statusResult, console.dir);
-        
-                return statusResult;
-            }
-            catch (e) {
-                // Sometimes the socket blows up, just try again.
-                if (e.toString().includes("socket hang up")) {
-                    trace(`Socket hang up while fetching status for job (id: ${this.id}), retrying...`);
-                    continue;
-                }
-        
-                trace(`Error fetching status for job (id: ${this.id}).`);
-                trace(e, console.error);
-                
-                throw e;
-            }
+    async getStatus(options={}) {
+        // A job's final status does not change.
+        if (this.finalStatusResult) {
+            return this.finalStatusResult;
         }
+
+        try {
+            let statusResult = await this.api.jobStatus(this.id, options.signal || null);
     
-        throw new Error("error getting status");
+            this.api.trace(`Job (id: ${this.id}), received status result.`);
+            this.api.trace(statusResult, console.dir);
+
+            this.emitStatusEvents(statusResult);
+    
+            return statusResult;
+        }
+        catch (e) {
+            this.api.trace(`Error fetching status for job (id: ${this.id}).`);
+            this.api.trace(e, console.error);
+            
+            throw e;
+        }
     }
 
     /**
@@ -101,18 +155,45 @@ class Job {
         try {
             let logs = await this.api.jobLogs(this.id);
     
-            trace(`Job (id: ${this.id}), received logs.`);
+            this.api.trace(`Job (id: ${this.id}), received logs.`);
     
             return logs;
         }
         catch (e) {
-            trace(`Error fetching logs for job (id: ${this.id}).`);
-            trace(e, console.error);
+            this.api.trace(`Error fetching logs for job (id: ${this.id}).`);
+            this.api.trace(e, console.error);
             
             throw e;
         }
     }
 
+    /**
+     * Streams the stdout & stderr logs output by the job as they arrive.
+     * 
+     * <p>
+     * Returns a {@link LogStream}, an object mode readable stream of chunks with 
+     * `stream` ("stdout" or "stderr"), `data` and `offset` properties. When following, 
+     * the stream polls for new logs and ends once the job has completed.
+     * </p>
+     * 
+     * @param {Object} [options]
+     * @param {boolean} [options.follow] (default=true) Whether to keep polling for new logs 
+     *      until the job has completed. Otherwise the stream ends after the logs output so far.
+     * @param {number} [options.interval] (default=1000) Number of milliseconds to wait between polls.
+     * @param {AbortSignal} [options.signal] A signal that destroys the stream with an "AbortError" when aborted.
+     * 
+     * @returns {LogStream} A readable stream of log chunks.
+     * 
+     * @example <caption>Example tailing the logs of a running job</caption>
+     * for await (let chunk of job.streamLogs({follow: true})) {
+     *     let output = chunk.stream === "stderr" ? process.stderr : process.stdout;
+     *     output.write(chunk.data);
+     * }
+     */
+    streamLogs(options={}) {
+        return new LogStream(this, options);
+    }
+
     /**
      * Returns whether or not the job has completed running. 
      * 
@@ -125,13 +206,13 @@ class Job {
         let statusResult = await this.getStatus();
 
         if (this.finalStates.includes(statusResult.jobStatus.toLowerCase())) {
-            trace(`Job (id: ${this.id}) finished successfully.`);
+            this.api.trace(`Job (id: ${this.id}) finished successfully.`);
             this.finalStatusResult = statusResult;
             return true;
         }
 
         if (this.errorStates.includes(statusResult.jobStatus.toLowerCase())) {
-            trace(`Job (id: ${this.id}) finished with error.`);
+            this.api.trace(`Job (id: ${this.id}) finished with error.`);
             this.finalStatusResult = statusResult;
             return true;
         }
@@ -139,64 +220,269 @@ class Job {
         return false;
     }
 
+    /**
+     * Requests that AegisBlade cancel the job. A job that has not 
+     * completed will stop running and end in the "canceled" state.
+     * 
+     * @returns {Promise<Job>} The current object for chaining method calls.
+     */
+    async cancel() {
+        this.api.trace(`Canceling Job (id: ${this.id}).`);
+
+        await this.api.jobCancel(this.id);
+
+        return this;
+    }
+
     /**
      * Waits for the job to complete. 
      * 
      * @param {number} [expiration] Number of seconds to wait before timing out. Does not time out by default.
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] A signal that stops waiting when aborted.
+     * @param {boolean} [options.cancelOnAbort] (default=false) Whether to also cancel 
+     *      the job when the signal is aborted.
      * 
-     * @throws An error if the job takes longer than `expiration` seconds.
+     * @throws {TimeoutError} If the job takes longer than `expiration` seconds.
+     * @throws {AbortError} If the signal is aborted.
      */
-    async wait(expiration=null) {
+    async wait(expiration=null, options={}) {
         const startTime = new Date().getTime();
+        const {signal, cancelOnAbort} = options;
 
         if (this.finalStatusResult) {
-            trace('job.wait: returning cached final status result.');
+            this.api.trace('job.wait: returning cached final status result.');
             return this.finalStatusResult;
         }
 
-        while (true) {
-            if (expiration && (new Date().getTime() > (startTime + expiration))) {
-                trace(`Waiting for Job (id: ${this.id}) to finish timed out: ${JSON.stringify({startTime: startTime, expiration: expiration})}`);
-                throw new Error(`Waiting for Job (id: ${this.id}) to finish timed out.`);
-            }
+        try {
+            while (true) {
+                throwIfAborted(signal);
 
-            let statusResult = await this.getStatus();
+                if (expiration && (new Date().getTime() > (startTime + expiration * 1000))) {
+                    this.api.trace(`Waiting for Job (id: ${this.id}) to finish timed out: ${JSON.stringify({startTime: startTime, expiration: expiration})}`);
+                    throw new TimeoutError(`Waiting for Job (id: ${this.id}) to finish timed out.`);
+                }
+
+                let statusResult = await this.getStatus({signal});
 
-            if (this.finalStates.includes(statusResult.jobStatus.toLowerCase())) {
-                trace(`Job (id: ${this.id}) finished successfully.`);
-                this.finalStatusResult = statusResult;
-                return statusResult;
+                if (this.finalStates.includes(statusResult.jobStatus.toLowerCase())) {
+                    this.api.trace(`Job (id: ${this.id}) finished successfully.`);
+                    this.finalStatusResult = statusResult;
+                    return statusResult;
+                }
+
+                if (this.errorStates.includes(statusResult.jobStatus.toLowerCase())) {
+                    this.api.trace(`Job (id: ${this.id}) finished with error.`);
+                    this.finalStatusResult = statusResult;
+                    return statusResult;
+                }
+
+                await abortableTimeout(700, signal);
             }
+        }
+        catch (err) {
+            if (isAbortError(err) && cancelOnAbort) {
+                this.api.trace(`Waiting for Job (id: ${this.id}) aborted, canceling job.`);
 
-            if (this.errorStates.includes(statusResult.jobStatus.toLowerCase())) {
-                trace(`Job (id: ${this.id}) finished with error.`);
-                this.finalStatusResult = statusResult;
-                return statusResult;
+                // The caller is told about the abort, not about a failure to cancel.
+                try {
+                    await this.cancel();
+                } catch (cancelErr) {
+                    this.api.trace(`Unable to cancel Job (id: ${this.id}).`);
+                    this.api.trace(cancelErr, console.error);
+                }
             }
 
-            await timeout(700);
+            throw err;
         }
     }
 
     /**
+     * Waits for the job to finish and returns the value returned by the target function.
+     * 
+     * <p>
+     * The return value is decoded with the client's {@link Serializer}, so types such as
+     * Buffers, Dates and Maps are returned as they were on the server.
+     * </p>
      * 
      * @param {number} [expiration] Number of seconds to wait before timing out. Does not time out by default.
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] A signal that stops waiting when aborted.
+     * @param {boolean} [options.cancelOnAbort] (default=false) Whether to also cancel 
+     *      the job when the signal is aborted.
      * 
-     * @throws If the job takes longer than `expiration` seconds.
-     * @throws If the return value cannot be deserialized.
+     * @throws {TimeoutError} If the job takes longer than `expiration` seconds.
+     * @throws {RemoteJobError} If the target function threw an error.
+     * @throws {JobFailedError} If the job failed without a captured error or was canceled.
+     * @throws {AegisBladeError} If the return value cannot be parsed or contains a type with no registered codec.
+     * @throws {AbortError} If the signal is aborted.
      */
-    async getReturnValue(expiration=null) {
-        if (!this.finalStatusResult) {
-            await this.wait(expiration);
+    async getReturnValue(expiration=null, options={}) {
+        let statusResult = this.finalStatusResult || await this.wait(expiration, options);
+
+        let jobStatus = statusResult.jobStatus.toLowerCase();
+        if (jobStatus !== "finished") {
+            throw await this.createFailedError(statusResult);
         }
-    
+
+        let returnValueText = await this.fetchReturnValue();
+
+        let returnValueData;
         try {
-            let returnValueText = await this.api.getReturnValue(this.id);
-            let returnValue = JSON.parse(returnValueText);
-            return returnValue;
+            returnValueData = JSON.parse(returnValueText);
         } catch (err) {
-            throw new Error("Failed to parse return value. \n") + err;
+            throw new AegisBladeError(`Failed to parse return value of Job (id: ${this.id}). ${err.message}`, {cause: err});
         }
+
+        return this.api.serializer.decode(returnValueData);
+    }
+
+    /**
+     * Emits the status events for a status result if the job's status changed.
+     * 
+     * @param {Object} statusResult
+     * @private
+     */
+    emitStatusEvents(statusResult) {
+        let jobStatus = statusResult.jobStatus.toLowerCase();
+        if (jobStatus === this.lastJobStatus)
+            return;
+
+        this.lastJobStatus = jobStatus;
+
+        this.emit("status", statusResult);
+
+        if (jobStatus === "running" || jobStatus === "finished" || jobStatus === "canceled") {
+            this.emit(jobStatus, statusResult);
+        }
+
+        if (this.errorStates.includes(jobStatus) && this.listenerCount("error") > 0) {
+            this.createFailedError(statusResult).then(err => this.emitError(err));
+        }
+    }
+
+    /**
+     * Fetches the job's return value text, or the error captured by its process.
+     * 
+     * @returns {Promise<string>}
+     * @private
+     */
+    async fetchReturnValue() {
+        if (this.returnValueText === null) {
+            this.returnValueText = await this.api.getReturnValue(this.id);
+        }
+
+        return this.returnValueText;
+    }
+
+    /**
+     * Creates the error for a job that ended without a return value. If the target function
+     * threw, the error captured by the job's process is returned as a {@link RemoteJobError}.
+     * 
+     * @param {Object} statusResult The final status result of the job.
+     * @returns {Promise<JobFailedError>}
+     * @private
+     */
+    async createFailedError(statusResult) {
+        let jobStatus = statusResult.jobStatus.toLowerCase();
+
+        let remoteError = null;
+        if (this.errorStates.includes(jobStatus)) {
+            try {
+                remoteError = parseErrorRecord(await this.fetchReturnValue());
+            } catch (err) {
+                this.api.trace(`Job (id: ${this.id}), unable to fetch the remote error.`);
+                this.api.trace(err, console.error);
+            }
+        }
+
+        if (!remoteError) {
+            return new JobFailedError(`Job (id: ${this.id}) has no return value, it ended with status: ${jobStatus}.`, {
+                jobId: this.id,
+                statusResult: statusResult
+            });
+        }
+
+        let properties = remoteError.properties || {};
+        try {
+            properties = this.api.serializer.decode(properties);
+        } catch (err) {
+            this.api.trace(`Job (id: ${this.id}), unable to decode the remote error's properties.`);
+            this.api.trace(err, console.error);
+        }
+
+        let relativeFilePaths = (this.applicationFiles || []).map(f => f.filePathRelativeToAppContext);
+        let remoteName = remoteError.name || "Error";
+
+        return new RemoteJobError(`Job (id: ${this.id}) failed with ${remoteName}: ${remoteError.message}`, {
+            jobId: this.id,
+            statusResult: statusResult,
+            remoteName: remoteName,
+            remoteMessage: remoteError.message,
+            remoteStack: mapStackTrace(remoteError.stack, relativeFilePaths),
+            properties: properties
+        });
+    }
+
+    /**
+     * Emits an "error" event, only if there are listeners for it.
+     * 
+     * @private
+     */
+    emitError(err) {
+        if (this.listenerCount("error") > 0) {
+            this.emit("error", err);
+        }
+    }
+
+    /**
+     * @private
+     */
+    hasWatchListeners() {
+        return WATCHED_EVENTS.some(event => this.listenerCount(event) > 0);
+    }
+
+    /**
+     * Starts polling the job's status in the background, unless it is already being 
+     * polled or has completed.
+     * 
+     * @private
+     */
+    startWatching() {
+        if (this.watchController || this.finalStatusResult)
+            return;
+
+        this.api.trace(`Job (id: ${this.id}), watching status.`);
+
+        let watchController = createAbortController();
+        this.watchController = watchController;
+
+        this.wait(null, {signal: watchController.signal}).then(() => {
+            if (this.watchController === watchController) this.watchController = null;
+        }, (err) => {
+            if (this.watchController === watchController) this.watchController = null;
+
+            if (!isAbortError(err)) {
+                this.api.trace(`Job (id: ${this.id}), error watching status.`);
+                this.emitError(err);
+            }
+        });
+    }
+
+    /**
+     * Stops polling the job's status in the background.
+     * 
+     * @private
+     */
+    stopWatching() {
+        if (!this.watchController)
+            return;
+
+        this.api.trace(`Job (id: ${this.id}), stopped watching status.`);
+
+        this.watchController.abort();
+        this.watchController = null;
     }
 
     /**
@@ -209,10 +495,11 @@ class Job {
      * 
      * @param {Api} api 
      * @param {Object} apiResponse 
+     * @param {Object[]} [applicationFiles] The file manifest of the job's application.
      * @private
      */
-    static create(api, apiResponse) {
-        return new Job(api, apiResponse.jobId, apiResponse.applicationId, apiResponse.jobType);
+    static create(api, apiResponse, applicationFiles) {
+        return new Job(api, apiResponse.jobId, apiResponse.applicationId, apiResponse.jobType, applicationFiles);
     }
 }
 
@@ -5,11 +5,15 @@
 
 const merge = require('./util/merge');
 const env = require('./env');
+const {getJobConfigDefaults} = require('./config');
 
 const DefaultJobConfig = function() {
     return {
         memory: null,
         extraFiles: [],
+        includeExtensions: [],
+        exclude: [],
+        useGitignore: false,
         libraries: [],
         capabilities: [],
         host: {
@@ -40,6 +44,20 @@ const DefaultJobConfig = function() {
  * @property {string[]} [extraFiles] A list of extra files or directory 
  *      (inside the current working directory tree) to include as part of 
  *      the upload. Usually used to include non-js content files or directories.
+ *      Entries may also be glob patterns such as "assets/**&#47;*.json", and an entry
+ *      starting with "!" removes the files matched by earlier entries.
+ * 
+ * @property {string[]} [includeExtensions] A list of file extensions, such as ".json" or 
+ *      ".wasm", of files under the current working directory to include as part of the 
+ *      upload along with the ".js" files.
+ * 
+ * @property {string[]} [exclude] A list of patterns, with the same syntax as a .gitignore 
+ *      file, for files to leave out of the upload. Applied after the patterns of the 
+ *      .aegisignore file in the current working directory.
+ * 
+ * @property {boolean} [useGitignore] (default=false) Whether to use the .gitignore file in 
+ *      the current working directory to leave files out of the upload when there is no 
+ *      .aegisignore file.
  * 
  * @property {string[]} [libraries] A list of directories (outside the current 
  *      working directory tree) to make available for import by the application 
@@ -52,7 +70,8 @@ const DefaultJobConfig = function() {
  * @property {Object} [host]
  * 
  * @property {string} [host.driver] The backing driver to use in launching the hosts
- *      for the job. ("ec2" only currently).
+ *      for the job. ("ec2" or "local"). The "local" driver runs the job in a child 
+ *      process on the local machine and does not require an API Key.
  * 
  * @property {string} [host.affinity] A string label used to group jobs on a host(s). If 
  *      specified, the job will only run on hosts with the same host
@@ -81,13 +100,24 @@ class JobConfig {
      * Creates a JobConfig, applying the default values and then applying 
      * values of the config param over the defaults.
      * 
+     * <p>
+     * The default values are overridden by the project configuration file and its 
+     * selected profile, and then by the AEGISBLADE_DEFAULT_HOSTDRIVER environment variable. 
+     * Libraries in the AEGISBLADE_LIBRARIES environment variable are always added. 
+     * See the "config" module for the configuration file's format.
+     * </p>
+     * 
      * @param {Object} [config] Optional object with configuration values preset. 
+     * @param {Object} [defaults] Optional object with values applied under config, such as a client's defaults.
      * 
      * <p> Default values: </p>
      * <pre>
      *  {
      *      memory: null,
      *      extraFiles: [],
+     *      includeExtensions: [],
+     *      exclude: [],
+     *      useGitignore: false,
      *      libraries: [],
      *      capabilities: [],
      *      host: {
@@ -103,21 +133,36 @@ class JobConfig {
      *  };
      * </pre>
      */
-    constructor(config) {
+    constructor(config, defaults) {
         Object.assign(this, DefaultJobConfig());
 
+        merge(this, getJobConfigDefaults());
+
         if (env.defaultHostdriver) {
             this.host.driver = env.defaultHostdriver;
         }
 
+        if (defaults) {
+            merge(this, JSON.parse(JSON.stringify(defaults)));
+        }
+
         if (config) {
             merge(this, config);
         }
 
+        // merge() assigns arrays by reference, so they are copied before being modified by this JobConfig.
+        for (let key of Object.keys(this)) {
+            if (Array.isArray(this[key])) {
+                this[key] = this[key].slice();
+            }
+        }
+
         if (env.libraries) {
             let envLibraries = env.libraries.split(":");
             for (let envLibrary of envLibraries) {
-                this.libraries.push(envLibrary);
+                if (!this.libraries.includes(envLibrary)) {
+                    this.libraries.push(envLibrary);
+                }
             }
         }
     }
@@ -148,10 +193,23 @@ class JobConfig {
      *   tree should be included when uploading the application.
      * </p>
      * 
+     * <p>
+     *   The path may also be a glob pattern relative to the CWD, where `*` matches 
+     *   within a directory and `**` matches any number of directories. A pattern 
+     *   starting with "!" removes the files matched by earlier extra files. Building 
+     *   the application fails if a path does not exist or a pattern matches no files.
+     * </p>
+     * 
      * For files/directories outside of the CWD tree, see [JobConfig.addLibrary()]{@link JobConfig#addLibrary} .
      * 
-     * @param {string} extraFilePath Path to the file or directory to include.
+     * @param {string} extraFilePath Path to the file or directory, or a glob pattern, to include.
      * @returns {JobConfig} The current object for chaining method calls.
+     * 
+     * @example <caption>Example including data files except source maps</caption>
+     * let jobConfig = new JobConfig()
+     *     .withExtraFile("assets/**&#47;*.json")
+     *     .withExtraFile("dist")
+     *     .withExtraFile("!**&#47;*.map");
      */
     withExtraFile(extraFilePath) {
         this.extraFiles.push(extraFilePath);
@@ -159,6 +217,52 @@ class JobConfig {
         return this;
     }
 
+    /**
+     * Specifies that files with an extension, such as ".json", ".wasm" or ".node", 
+     * anywhere inside the CWD tree should be included when uploading the application, 
+     * as ".js" files are.
+     * 
+     * @param {string} extension The file extension, with or without the leading ".".
+     * @returns {JobConfig} The current object for chaining method calls.
+     */
+    withIncludeExtension(extension) {
+        this.includeExtensions.push(extension);
+
+        return this;
+    }
+
+    /**
+     * Specifies a pattern for files inside the CWD tree that should be
+     * left out when uploading the application.
+     * 
+     * <p>
+     * Patterns have the same syntax as a .gitignore file, for example "coverage/", 
+     * "*.fixture.js" or "!src/keep.fixture.js". Files can also be left out with a 
+     * .aegisignore file in the CWD, which has the same syntax.
+     * </p>
+     * 
+     * @param {string} pattern
+     * @returns {JobConfig} The current object for chaining method calls.
+     */
+    withExclude(pattern) {
+        this.exclude.push(pattern);
+
+        return this;
+    }
+
+    /**
+     * Specifies whether the .gitignore file in the CWD is used to leave files 
+     * out of the upload when there is no .aegisignore file.
+     * 
+     * @param {boolean} [useGitignore] (default=true)
+     * @returns {JobConfig} The current object for chaining method calls.
+     */
+    withGitignore(useGitignore=true) {
+        this.useGitignore = useGitignore;
+
+        return this;
+    }
+
     /**
      * Adds a library to be uploaded as a part of this job.
      * 
@@ -187,7 +291,7 @@ class JobConfig {
      * when starting the job.
      * 
      * @param {string} hostDriver The backing driver to use in launching the hosts
-     *       for the job. ("ec2" only currently).
+     *       for the job. ("ec2" or "local").
      * @param {Object} hostDriverOptions A dict of options for the host driver such
      *       as "instanceType", "region", and "useSpotInstance".
      * @returns {JobConfig} The current object for chaining method calls.
@@ -0,0 +1,177 @@
+// A part of the AegisBlade Node.js Client Library
+// Copyright (C) 2019 Thornbury Organization, Bryan Thornbury
+// This file may be used under the terms of the GNU Lesser General Public License, version 2.1.
+// For more details see: https://www.gnu.org/licenses/lgpl-2.1.html
+
+const {mapWithConcurrency} = require("./util/concurrency");
+
+/**
+ * A group of jobs created from a list of argument sets, typically
+ * returned by a call to [AegisBladeClient.map()]{@link AegisBladeClient#map}.
+ *
+ * <p>
+ * Items are kept in the same order as the argument sets. An item whose job
+ * could not be created has an `error` instead of a `job`.
+ * </p>
+ */
+class JobGroup {
+    /**
+     * Do not use the constructor directly. Use [AegisBladeClient.map()]{@link AegisBladeClient#map}
+     * to create a job group.
+     *
+     * @param {Object[]} items Objects with `index`, `args`, and either `job` or `error` properties.
+     * @param {number} [concurrency] The maximum number of requests made at once.
+     */
+    constructor(items, concurrency=10)
+    {
+        /**
+         * The items of the group in input order. Each item has `index`, `args`,
+         * `job` ({@link Job} or null) and `error` (Error or null) properties.
+         *
+         * @type {Object[]}
+         */
+        this.items = items;
+
+        /**
+         * The jobs of the group in input order, null where the job could not be created.
+         *
+         * @type {Job[]}
+         */
+        this.jobs = items.map(item => item.job);
+
+        this.concurrency = concurrency;
+    }
+
+    /**
+     * Retrieves the status of every job in the group.
+     *
+     * @returns {Promise<Object>} An object with the `total` number of items, a `counts`
+     *      object of the number of jobs in each status (items whose job could not
+     *      be created are counted as "error"), and whether all jobs are `completed`.
+     */
+    async getStatus() {
+        let statuses = await mapWithConcurrency(this.items, this.concurrency, async (item) => {
+            if (!item.job) {
+                return "error";
+            }
+
+            let statusResult = await item.job.getStatus();
+            return statusResult.jobStatus.toLowerCase();
+        });
+
+        let counts = {};
+        for (let status of statuses) {
+            counts[status] = (counts[status] || 0) + 1;
+        }
+
+        let completedStates = ["finished", "canceled", "error"];
+        let completed = statuses.every(status => completedStates.includes(status));
+
+        return {
+            total: this.items.length,
+            counts: counts,
+            completed: completed
+        };
+    }
+
+    /**
+     * Waits for every job in the group to complete.
+     *
+     * @param {number} [expiration] Passed to [Job.wait()]{@link Job#wait} for each job.
+     * @param {Object} [options] Passed to [Job.wait()]{@link Job#wait} for each job.
+     *
+     * @returns {Promise<Object[]>} The final status results in input order, null where the job could not be created.
+     */
+    async wait(expiration=null, options={}) {
+        return await mapWithConcurrency(this.items, this.concurrency, async (item) => {
+            return item.job ? await item.job.wait(expiration, options) : null;
+        });
+    }
+
+    /**
+     * Waits for every job in the group and returns their return values in input order.
+     *
+     * @param {number} [expiration] Passed to [Job.getReturnValue()]{@link Job#getReturnValue} for each job.
+     * @param {Object} [options] Passed to [Job.getReturnValue()]{@link Job#getReturnValue} for each job.
+     *
+     * @returns {Promise<Array>} The return values in input order.
+     *
+     * @throws The first error of any item, including items whose job could not be created.
+     */
+    async results(expiration=null, options={}) {
+        return await mapWithConcurrency(this.items, this.concurrency, async (item) => {
+            if (item.error) {
+                throw item.error;
+            }
+
+            return await item.job.getReturnValue(expiration, options);
+        });
+    }
+
+    /**
+     * Waits for every job in the group and returns the outcome of each, in input order.
+     *
+     * <p>
+     * Each outcome is `{status: "fulfilled", value}` with the job's return value or
+     * `{status: "rejected", reason}` with the error of the item, in the same
+     * form as `Promise.allSettled()`.
+     * </p>
+     *
+     * @param {number} [expiration] Passed to [Job.getReturnValue()]{@link Job#getReturnValue} for each job.
+     * @param {Object} [options] Passed to [Job.getReturnValue()]{@link Job#getReturnValue} for each job.
+     *
+     * @returns {Promise<Object[]>} The outcomes in input order.
+     */
+    async settled(expiration=null, options={}) {
+        return await mapWithConcurrency(this.items, this.concurrency, async (item) => {
+            if (item.error) {
+                return {status: "rejected", reason: item.error};
+            }
+
+            try {
+                let value = await item.job.getReturnValue(expiration, options);
+                return {status: "fulfilled", value: value};
+            }
+            catch (err) {
+                return {status: "rejected", reason: err};
+            }
+        });
+    }
+
+    /**
+     * Waits for every job in the group and returns the errors of the failed items.
+     *
+     * @param {number} [expiration] Passed to [Job.getReturnValue()]{@link Job#getReturnValue} for each job.
+     * @param {Object} [options] Passed to [Job.getReturnValue()]{@link Job#getReturnValue} for each job.
+     *
+     * @returns {Promise<Object[]>} Objects with the `index`, `args` and `error` of each failed item.
+     */
+    async errors(expiration=null, options={}) {
+        let outcomes = await this.settled(expiration, options);
+
+        return this.items
+            .filter((item, i) => outcomes[i].status === "rejected")
+            .map(item => ({
+                index: item.index,
+                args: item.args,
+                error: outcomes[item.index].reason
+            }));
+    }
+
+    /**
+     * Cancels every job in the group.
+     *
+     * @returns {Promise<JobGroup>} The current object for chaining method calls.
+     */
+    async cancel() {
+        await mapWithConcurrency(this.items, this.concurrency, async (item) => {
+            if (item.job) {
+                await item.job.cancel();
+            }
+        });
+
+        return this;
+    }
+}
+
+module.exports = JobGroup;
@@ -0,0 +1,69 @@
+// A part of the AegisBlade Node.js Client Library
+// Copyright (C) 2019 Thornbury Organization, Bryan Thornbury
+// This file may be used under the terms of the GNU Lesser General Public License, version 2.1.
+// For more details see: https://www.gnu.org/licenses/lgpl-2.1.html
+
+/**
+ * Entrypoint script for jobs run by the "local" host driver.
+ * 
+ * Usage: node localEntrypoint.js <entrypointFile> <returnValueFile>
+ * 
+ * Reads the serialized job entrypoint, requires the target function's module
+ * relative to the current working directory, calls the target function with the
+ * decoded arguments and writes its serialized return value to the return value file.
+ * If the target function throws, the captured error is written instead.
+ * 
+ * The arguments are decoded after the module is required, so codecs and serializers
+ * registered by the module are available. Codecs are registered per client, so the 
+ * shared `aegisblade` client's serializer is used when it has the entrypoint's serializer name.
+ * 
+ * @module localEntrypoint
+ * @private
+ */
+
+const fs = require('fs');
+const path = require('path');
+const {getSerializer, jsonSerializer} = require('./serializer');
+const {captureError} = require('./util/remoteError');
+
+const [entrypointFile, returnValueFile] = process.argv.slice(2);
+
+// Replaced by the entrypoint's serializer once it is known, used to capture errors.
+let serializer = jsonSerializer;
+
+const findSerializer = (name) => {
+    if (!name) {
+        return getSerializer(name);
+    }
+
+    let sharedSerializer = require('./main').aegisblade.serializer;
+    return sharedSerializer.name === name ? sharedSerializer : getSerializer(name);
+};
+
+const main = async () => {
+    let entrypoint = JSON.parse(fs.readFileSync(entrypointFile, 'utf8'));
+
+    let functionModulePath = path.resolve(process.cwd(), entrypoint.functionModuleFile);
+    let functionModule = require(functionModulePath);
+    let targetFunction = functionModule[entrypoint.functionName];
+
+    if (typeof(targetFunction) !== 'function') {
+        throw new Error(`Unable to find exported function '${entrypoint.functionName}' in module: ${entrypoint.functionModuleFile}`);
+    }
+
+    serializer = findSerializer(entrypoint.serializer);
+
+    let functionArguments = serializer.decode(entrypoint.functionArguments || []);
+    let returnValue = await targetFunction(...functionArguments);
+
+    fs.writeFileSync(returnValueFile, JSON.stringify(serializer.encode(returnValue)));
+};
+
+main().then(() => {
+    process.exit(0);
+}, (err) => {
+    console.error(err);
+
+    fs.writeFileSync(returnValueFile, JSON.stringify(captureError(err, serializer)));
+    process.exit(1);
+});
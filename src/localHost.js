@@ -0,0 +1,176 @@
+// A part of the AegisBlade Node.js Client Library
+// Copyright (C) 2019 Thornbury Organization, Bryan Thornbury
+// This file may be used under the terms of the GNU Lesser General Public License, version 2.1.
+// For more details see: https://www.gnu.org/licenses/lgpl-2.1.html
+
+const crypto = require('crypto');
+const path = require('path');
+const {readFile, writeFile, createTempFile, removeTempFile} = require('./util/file');
+const runProcess = require('./util/runProcess');
+const {createTrace} = require('./trace');
+const {NotFoundError} = require('./errors');
+const {defaultSerializer} = require('./serializer');
+
+/**
+ * The name of the host driver that runs jobs in a child process on the local machine.
+ */
+const LOCAL_HOST_DRIVER = "local";
+
+const LOCAL_ENTRYPOINT_SCRIPT = path.join(__dirname, "localEntrypoint.js");
+
+/*
+ * Internal class for running jobs in a child process on the local machine.
+ *
+ * Implements the job-related subset of the {@link Api} methods (jobStatus, jobLogs,
+ * getReturnValue, etc.) so a {@link Job} instance may be backed by either.
+ *
+ * A job's temporary files are removed once its process exits. The job itself is kept,
+ * so its status and logs may still be read after its return value, as for remote jobs.
+ *
+ * @constructor
+ */
+const LocalHost = function(logger=null) {
+    this.jobs = {};
+    this.serializer = defaultSerializer;
+    this.trace = createTrace(logger);
+
+    this.setSerializer = (serializer) => this.serializer = serializer;
+
+    this.hasJob = (jobId) => !!this.jobs[jobId];
+
+    /*
+     * Starts a job. With a limiter (see util/concurrency), the job's process is started 
+     * once the limiter has a free slot and holds it until the process exits, and the 
+     * job is "queued" until then.
+     */
+    this.startJob = async (serializedEntrypoint, limiter=null) => {
+        let jobId = "local-" + crypto.randomBytes(16).toString('hex');
+
+        let entrypointFile = await createTempFile();
+        await writeFile(entrypointFile, serializedEntrypoint);
+
+        let returnValueFile = await createTempFile();
+
+        let localJob = {
+            jobId: jobId,
+            applicationId: null,
+            jobType: "InstantJob",
+            process: null,
+            returnValue: null,
+            canceled: false
+        };
+
+        // Resolves once the process exits, or at once if the job was canceled while queued.
+        const runJob = async () => {
+            if (localJob.canceled)
+                return;
+
+            this.trace(`Starting local job (id: ${jobId}).`);
+
+            localJob.process = runProcess(process.execPath,
+                [LOCAL_ENTRYPOINT_SCRIPT, entrypointFile, returnValueFile], null, null, false, this.trace);
+
+            try {
+                await localJob.process;
+            } catch (err) {
+                this.trace(`Local job (id: ${jobId}) exited with error.`);
+                this.trace(err, console.error);
+            }
+        };
+
+        // Resolves once the return value has been read and the temporary files removed.
+        localJob.settled = (limiter ? limiter(runJob) : runJob())
+            .then(() => readFile(returnValueFile))
+            .then((returnValue) => localJob.returnValue = returnValue, () => {})
+            .then(() => Promise.all([removeTempFile(entrypointFile), removeTempFile(returnValueFile)]));
+
+        this.jobs[jobId] = localJob;
+
+        return {
+            jobId: localJob.jobId,
+            applicationId: localJob.applicationId,
+            jobType: localJob.jobType
+        };
+    };
+
+    this.getLocalJob = (jobId) => {
+        let localJob = this.jobs[jobId];
+        if (!localJob) {
+            throw new NotFoundError(`404 - Local job not found: ${jobId}`, {statusCode: 404});
+        }
+
+        return localJob;
+    };
+
+    this.jobStatus = async (jobId) => {
+        let localJob = this.getLocalJob(jobId);
+
+        let jobStatus = "running";
+        if (localJob.canceled) {
+            jobStatus = "canceled";
+        }
+        else if (!localJob.process) {
+            jobStatus = "queued";
+        }
+        else if (localJob.process.isFulfilled()) {
+            jobStatus = "finished";
+        }
+        else if (localJob.process.isRejected()) {
+            jobStatus = "error";
+        }
+
+        return {
+            jobId: localJob.jobId,
+            applicationId: localJob.applicationId,
+            jobType: localJob.jobType,
+            jobStatus: jobStatus
+        };
+    };
+
+    this.jobCancel = async (jobId) => {
+        let localJob = this.getLocalJob(jobId);
+
+        if (localJob.process && !localJob.process.isPending()) {
+            return;
+        }
+
+        this.trace(`Canceling local job (id: ${jobId}).`);
+
+        localJob.canceled = true;
+        if (localJob.process) {
+            localJob.process.kill();
+        }
+    };
+
+    this.jobLogs = async (jobId) => {
+        let localJob = this.getLocalJob(jobId);
+        if (!localJob.process) {
+            return "";
+        }
+
+        return localJob.process.stdout() + localJob.process.stderr();
+    };
+
+    this.jobLogsFromOffset = async (jobId, stream, offset) => {
+        let localJob = this.getLocalJob(jobId);
+        if (!localJob.process) {
+            return "";
+        }
+
+        let logs = stream === "stderr" ? localJob.process.stderr() : localJob.process.stdout();
+
+        return Buffer.from(logs).slice(offset).toString();
+    };
+
+    this.getReturnValue = async (jobId) => {
+        let localJob = this.getLocalJob(jobId);
+
+        await localJob.settled;
+
+        return localJob.returnValue;
+    };
+};
+
+LocalHost.LOCAL_HOST_DRIVER = LOCAL_HOST_DRIVER;
+
+module.exports = LocalHost;
@@ -0,0 +1,116 @@
+// A part of the AegisBlade Node.js Client Library
+// Copyright (C) 2019 Thornbury Organization, Bryan Thornbury
+// This file may be used under the terms of the GNU Lesser General Public License, version 2.1.
+// For more details see: https://www.gnu.org/licenses/lgpl-2.1.html
+
+const {Readable} = require('stream');
+const {abortableTimeout} = require("./util/abort");
+
+const LOG_STREAMS = ["stdout", "stderr"];
+
+/**
+ * A readable stream of the log chunks output by a job, returned
+ * by [Job.streamLogs()]{@link Job#streamLogs}.
+ *
+ * <p>
+ * The stream is in object mode. Each chunk is an object with `stream` ("stdout" or "stderr"),
+ * `data` (the new log text) and `offset` (the byte offset of the data within that stream's logs)
+ * properties. Each log stream is tracked separately so no data is repeated.
+ * </p>
+ *
+ * <p>
+ * The stream is async iterable, so it may be consumed with `for await`.
+ * </p>
+ */
+class LogStream extends Readable {
+    /**
+     * Do not use the constructor directly. Use [Job.streamLogs()]{@link Job#streamLogs}.
+     *
+     * @param {Job} job
+     * @param {Object} [options] @see Job#streamLogs
+     */
+    constructor(job, options={}) {
+        super({objectMode: true});
+
+        this.job = job;
+        this.follow = options.follow !== false;
+        this.interval = options.interval || 1000;
+        this.signal = options.signal || null;
+
+        /**
+         * The number of bytes read so far from each log stream.
+         *
+         * @type {Object}
+         */
+        this.offsets = {stdout: 0, stderr: 0};
+
+        this.reading = false;
+    }
+
+    _read() {
+        if (this.reading)
+            return;
+
+        this.reading = true;
+
+        this.readChunks().then(() => {
+            this.reading = false;
+        }, (err) => {
+            this.reading = false;
+
+            this.job.api.trace(`Error streaming logs for job (id: ${this.job.id}).`);
+            this.job.api.trace(err, console.error);
+
+            this.destroy(err);
+        });
+    }
+
+    /**
+     * Polls for new log data until at least one chunk is pushed or the logs end.
+     */
+    async readChunks() {
+        while (!this.destroyed) {
+            // The status is checked before fetching so that logs written just
+            // before the job completed are still read.
+            let isFinal = !this.follow || await this.job.isCompleted();
+
+            let chunks = await this.fetchChunks();
+
+            if (this.destroyed)
+                return;
+
+            if (chunks.length > 0) {
+                for (let chunk of chunks) {
+                    this.push(chunk);
+                }
+
+                return;
+            }
+
+            if (isFinal) {
+                this.push(null);
+                return;
+            }
+
+            await abortableTimeout(this.interval, this.signal);
+        }
+    }
+
+    async fetchChunks() {
+        let chunks = [];
+
+        for (let stream of LOG_STREAMS) {
+            let offset = this.offsets[stream];
+            let data = await this.job.api.jobLogsFromOffset(this.job.id, stream, offset);
+
+            if (data) {
+                this.offsets[stream] += Buffer.byteLength(data);
+                chunks.push({stream: stream, data: data, offset: offset});
+            }
+        }
+
+        return chunks;
+    }
+}
+
+module.exports = LogStream;
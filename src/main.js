@@ -6,10 +6,29 @@
 const AegisBladeClient = require("./client");
 const JobConfig = require('./jobConfig');
 const Capability = require('./capability');
+const errors = require('./errors');
+const {Serializer} = require('./serializer');
 
+/**
+ * Creates a client with its own configuration, independent of the shared 
+ * `aegisblade` client and any other client.
+ * 
+ * @param {Object} [options] @see AegisBladeClient
+ * @returns {AegisBladeClient}
+ * 
+ * @example <caption>Example using a client per account</caption>
+ * const {createClient} = require("aegisblade");
+ * 
+ * let client = createClient({apiKey: tenant.apiKey, retry: {retries: 5}});
+ * let job = await client.run(processData, [inputPath]);
+ */
+const createClient = (options) => new AegisBladeClient(options);
 
 module.exports = {
     aegisblade: new AegisBladeClient(),
+    createClient,
     JobConfig: JobConfig,
-    Capability
+    Capability,
+    Serializer,
+    errors
 }
\ No newline at end of file
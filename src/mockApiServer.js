@@ -0,0 +1,826 @@
+// A part of the AegisBlade Node.js Client Library
+// Copyright (C) 2019 Thornbury Organization, Bryan Thornbury
+// This file may be used under the terms of the GNU Lesser General Public License, version 2.1.
+// For more details see: https://www.gnu.org/licenses/lgpl-2.1.html
+
+const http = require('http');
+const crypto = require('crypto');
+const zlib = require('zlib');
+const { URL } = require('url');
+const {getSerializer} = require('./serializer');
+const {captureError} = require('./util/remoteError');
+const {readTarArchive} = require('./util/tar');
+const {listPage} = require('./util/listing');
+
+// Routes whose bodies are file contents, kept as Buffers whatever their content type.
+const RAW_BODY_ROUTES = ['data/store/file/upload', 'storage/upload'];
+
+const newGuid = () => {
+    let hex = crypto.randomBytes(16).toString('hex');
+    return `${hex.substr(0, 8)}-${hex.substr(8, 4)}-${hex.substr(12, 4)}-${hex.substr(16, 4)}-${hex.substr(20)}`;
+};
+
+const readRequestBody = (req) => new Promise((resolve, reject) => {
+    let chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+});
+
+/**
+ * An in-process HTTP server implementing the AegisBlade API routes used by
+ * the client. Intended for testing code that uses the client without
+ * contacting the AegisBlade service.
+ *
+ * <p>
+ * Point a client at the server with [AegisBladeClient.setEndpoint()]{@link AegisBladeClient#setEndpoint}
+ * after it has started. Every request received is recorded in
+ * [MockApiServer.requests]{@link MockApiServer#requests}, and the state of
+ * created jobs may be scripted with methods such as
+ * [MockApiServer.scriptJob()]{@link MockApiServer#scriptJob}.
+ * </p>
+ *
+ * @example <caption>Example testing a job against the mock server</caption>
+ * const {aegisblade} = require("aegisblade");
+ * const {MockApiServer} = require("aegisblade/testing");
+ *
+ * let server = new MockApiServer({
+ *     onJobCreated: (job) => server.setJobReturnValue(job.jobId, "Hello World")
+ * });
+ *
+ * aegisblade.setEndpoint(await server.start());
+ * aegisblade.setApiKey("test");
+ *
+ * let job = await aegisblade.run(helloWorld);
+ * console.log(await job.getReturnValue()); // "Hello World"
+ *
+ * await server.stop();
+ */
+class MockApiServer {
+
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.apiKey] If set, requests without this api key
+     *      are rejected with a 401 status.
+     * @param {string[]} [options.jobStatusSequence] The statuses reported for each
+     *      new job. Each status request advances one step, and the last status is
+     *      repeated. Defaults to ["queued", "running", "finished"].
+     * @param {boolean} [options.redirectToStorage] (default=true) Whether data store file
+     *      uploads and downloads are redirected to a separate storage url, as the
+     *      AegisBlade service does.
+     * @param {string[]} [options.buildStatusSequence] The build statuses reported for each
+     *      new application, advancing in the same way as job statuses. Defaults to ["building", "built"].
+     * @param {function} [options.onJobCreated] Called with the job record each time a
+     *      job is created.
+     * @param {boolean} [options.archiveUploads] (default=true) Whether application files may be
+     *      uploaded as a single archive. When false, archive uploads get a 404 response
+     *      as from an endpoint that does not support them.
+     */
+    constructor(options) {
+        options = options || {};
+
+        this.apiKey = options.apiKey || null;
+        this.jobStatusSequence = options.jobStatusSequence || ["queued", "running", "finished"];
+        this.buildStatusSequence = options.buildStatusSequence || ["building", "built"];
+        this.redirectToStorage = options.redirectToStorage !== false;
+        this.onJobCreated = options.onJobCreated || null;
+        this.archiveUploads = options.archiveUploads !== false;
+
+        /**
+         * The base url of the running server, or null if it is not running.
+         *
+         * @type {string}
+         */
+        this.endpoint = null;
+
+        /**
+         * Every request received by the server, in order. Each request has
+         * `route`, `method`, `path`, `query`, `headers` and `body` properties. The body
+         * is parsed for JSON requests and a Buffer otherwise.
+         *
+         * @type {Object[]}
+         */
+        this.requests = [];
+
+        /**
+         * Created applications keyed by application id.
+         *
+         * @type {Object}
+         */
+        this.applications = {};
+
+        /**
+         * Uploaded application files keyed by file hash.
+         *
+         * @type {Object}
+         */
+        this.files = {};
+
+        /**
+         * Created jobs keyed by job id.
+         *
+         * @type {Object}
+         */
+        this.jobs = {};
+
+        /**
+         * Created scheduled jobs keyed by scheduled job id. Each scheduled job
+         * has a `jobIds` list of the jobs it has created.
+         *
+         * @type {Object}
+         */
+        this.scheduledJobs = {};
+
+        /**
+         * Created data stores keyed by name. Each data store has
+         * a `files` object of Buffers keyed by path, and a `fileInfo` object of
+         * each file's `lastModified` date and `contentType` keyed by path.
+         *
+         * @type {Object}
+         */
+        this.dataStores = {};
+
+        this.server = null;
+
+        this.routes = [
+            ['POST', /^\/api\/v1\/application\/create$/, 'application/create', this.createApplication],
+            ['POST', /^\/api\/v1\/application\/files\/missing$/, 'application/files/missing', this.applicationMissingFiles],
+            ['POST', /^\/api\/v1\/application\/upload$/, 'application/upload', this.uploadFile],
+            ['POST', /^\/api\/v1\/application\/upload\/archive\/([^/]+)$/, 'application/upload/archive', this.uploadArchive],
+            ['GET', /^\/api\/v1\/application\/status\/([^/]+)$/, 'application/status', this.applicationStatus],
+            ['POST', /^\/api\/v1\/job\/create$/, 'job/create', this.createJob],
+            ['GET', /^\/api\/v1\/job\/status\/([^/]+)$/, 'job/status', this.jobStatus],
+            ['GET', /^\/api\/v1\/job\/logs\/([^/]+)$/, 'job/logs', this.jobLogs],
+            ['GET', /^\/api\/v1\/job\/returnvalue\/([^/]+)$/, 'job/returnvalue', this.jobReturnValue],
+            ['POST', /^\/api\/v1\/job\/cancel\/([^/]+)$/, 'job/cancel', this.jobCancel],
+            ['GET', /^\/api\/v1\/job\/scheduled\/list$/, 'job/scheduled/list', this.scheduledJobList],
+            ['GET', /^\/api\/v1\/job\/scheduled\/([^/]+)$/, 'job/scheduled/status', this.scheduledJobStatus],
+            ['POST', /^\/api\/v1\/job\/scheduled\/([^/]+)\/pause$/, 'job/scheduled/pause', this.scheduledJobPause],
+            ['POST', /^\/api\/v1\/job\/scheduled\/([^/]+)\/resume$/, 'job/scheduled/resume', this.scheduledJobResume],
+            ['DELETE', /^\/api\/v1\/job\/scheduled\/([^/]+)\/delete$/, 'job/scheduled/delete', this.scheduledJobDelete],
+            ['GET', /^\/api\/v1\/job\/scheduled\/([^/]+)\/jobs$/, 'job/scheduled/jobs', this.scheduledJobJobs],
+            ['POST', /^\/api\/v1\/data\/store\/create$/, 'data/store/create', this.dataStoreCreate],
+            ['DELETE', /^\/api\/v1\/data\/store\/([^/]+)\/delete$/, 'data/store/delete', this.dataStoreDelete],
+            ['GET', /^\/api\/v1\/data\/store\/([^/]+)\/list$/, 'data/store/list', this.dataStoreList],
+            ['GET', /^\/api\/v1\/data\/store\/([^/]+)\/stat\/(.+)$/, 'data/store/file/stat', this.dataStoreStat],
+            ['PUT', /^\/api\/v1\/data\/store\/([^/]+)\/file\/(.+)$/, 'data/store/file/upload', this.dataStoreUpload],
+            ['GET', /^\/api\/v1\/data\/store\/([^/]+)\/file\/(.+)$/, 'data/store/file/download', this.dataStoreDownload],
+            ['DELETE', /^\/api\/v1\/data\/store\/([^/]+)\/file\/(.+)$/, 'data/store/file/delete', this.dataStoreDeleteFile],
+            ['PUT', /^\/storage\/([^/]+)\/(.+)$/, 'storage/upload', this.storageUpload],
+            ['GET', /^\/storage\/([^/]+)\/(.+)$/, 'storage/download', this.storageDownload]
+        ];
+    }
+
+    /**
+     * Starts the server listening on the loopback interface.
+     *
+     * @param {number} [port] The port to listen on. A random free port by default.
+     * @returns {Promise<string>} The endpoint to pass to [AegisBladeClient.setEndpoint()]{@link AegisBladeClient#setEndpoint}.
+     */
+    async start(port=0) {
+        this.server = http.createServer((req, res) => this.handleRequest(req, res));
+
+        await new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(port, '127.0.0.1', resolve);
+        });
+
+        this.endpoint = `http://127.0.0.1:${this.server.address().port}`;
+        return this.endpoint;
+    }
+
+    /**
+     * Stops the server.
+     *
+     * @returns {Promise}
+     */
+    async stop() {
+        if (!this.server)
+            return;
+
+        await new Promise((resolve) => this.server.close(() => resolve()));
+
+        this.server = null;
+        this.endpoint = null;
+    }
+
+    /**
+     * Returns the recorded requests for a route.
+     *
+     * @param {string} route The route name, such as "job/create" or "data/store/file/upload".
+     * @returns {Object[]} The recorded requests for the route, in order.
+     */
+    getRequests(route) {
+        return this.requests.filter(r => r.route === route);
+    }
+
+    /**
+     * Returns the job record for a job id, throwing if the job does not exist.
+     *
+     * <p>
+     * The record has `jobId`, `applicationId`, `jobType`, `payload`, `entrypoint`, `args`
+     * (the decoded arguments), `statusSequence`, `logs`, `stdout`, `stderr` and `returnValue` properties.
+     * </p>
+     *
+     * @param {string} jobId
+     * @returns {Object} The job record.
+     */
+    getJob(jobId) {
+        let job = this.jobs[jobId];
+        if (!job) {
+            throw new Error(`Job not found: ${jobId}`);
+        }
+
+        return job;
+    }
+
+    /**
+     * Sets the statuses the job will report to subsequent status requests.
+     * Each status request advances one step, and the last status is repeated.
+     *
+     * @param {string} jobId
+     * @param {string[]} statuses A list of statuses such as ["running", "finished"].
+     * @returns {MockApiServer} The current object for chaining method calls.
+     */
+    scriptJob(jobId, statuses) {
+        let job = this.getJob(jobId);
+        job.statusSequence = statuses.slice();
+
+        return this;
+    }
+
+    /**
+     * Sets the build statuses the application will report to subsequent build status requests.
+     * Each build status request advances one step, and the last status is repeated.
+     *
+     * @param {string} applicationId
+     * @param {string[]} statuses A list of build statuses such as ["building", "error"].
+     * @returns {MockApiServer} The current object for chaining method calls.
+     */
+    scriptApplication(applicationId, statuses) {
+        let application = this.applications[applicationId];
+        if (!application) {
+            throw new Error(`Application not found: ${applicationId}`);
+        }
+
+        application.buildStatusSequence = statuses.slice();
+
+        return this;
+    }
+
+    /**
+     * Sets the status the job will report from now on.
+     *
+     * @param {string} jobId
+     * @param {string} status A status such as "running", "finished" or "error".
+     * @returns {MockApiServer} The current object for chaining method calls.
+     */
+    setJobStatus(jobId, status) {
+        return this.scriptJob(jobId, [status]);
+    }
+
+    /**
+     * Sets the value returned for the job's return value.
+     *
+     * @param {string} jobId
+     * @param {*} returnValue A value that will be encoded with the serializer the job was created with.
+     * @returns {MockApiServer} The current object for chaining method calls.
+     */
+    setJobReturnValue(jobId, returnValue) {
+        let job = this.getJob(jobId);
+        job.returnValue = JSON.stringify(getSerializer(job.entrypoint.serializer).encode(returnValue));
+
+        return this;
+    }
+
+    /**
+     * Makes the job fail as if its target function threw the error. The job reports
+     * the "error" status from now on, and the error is captured as the job's process would.
+     *
+     * @param {string} jobId
+     * @param {Error} error
+     * @returns {MockApiServer} The current object for chaining method calls.
+     */
+    setJobError(jobId, error) {
+        let job = this.getJob(jobId);
+        job.returnValue = JSON.stringify(captureError(error, getSerializer(job.entrypoint.serializer)));
+
+        return this.setJobStatus(jobId, "error");
+    }
+
+    /**
+     * Sets the logs returned for the job.
+     *
+     * @param {string} jobId
+     * @param {string} logs
+     * @returns {MockApiServer} The current object for chaining method calls.
+     */
+    setJobLogs(jobId, logs) {
+        let job = this.getJob(jobId);
+        job.logs = logs;
+        job.stdout = logs;
+        job.stderr = "";
+
+        return this;
+    }
+
+    /**
+     * Appends output to the job's logs, as if the running job had written it.
+     *
+     * @param {string} jobId
+     * @param {string} data
+     * @param {string} [stream] (default="stdout") The log stream written to, "stdout" or "stderr".
+     * @returns {MockApiServer} The current object for chaining method calls.
+     */
+    appendJobLogs(jobId, data, stream="stdout") {
+        let job = this.getJob(jobId);
+        job.logs += data;
+        job[stream === "stderr" ? "stderr" : "stdout"] += data;
+
+        return this;
+    }
+
+    /**
+     * Creates a job from a scheduled job as if its crontab expression had been triggered.
+     *
+     * @param {string} scheduledJobId
+     * @returns {Object} The created job record.
+     */
+    triggerScheduledJob(scheduledJobId) {
+        let scheduledJob = this.scheduledJobs[scheduledJobId];
+        if (!scheduledJob) {
+            throw new Error(`Scheduled job not found: ${scheduledJobId}`);
+        }
+
+        let job = this.addJob(scheduledJob.payload);
+        scheduledJob.jobIds.push(job.jobId);
+
+        return job;
+    }
+
+    async handleRequest(req, res) {
+        let url = new URL(req.url, 'http://127.0.0.1');
+        let pathname = decodeURI(url.pathname);
+
+        let body;
+        try {
+            body = await readRequestBody(req);
+        }
+        catch (err) {
+            return this.sendResponse(res, 500, err.toString());
+        }
+
+        let route = this.routes.find(([method, pattern]) => method === req.method && pattern.test(pathname));
+
+        let query = {};
+        for (let [key, value] of url.searchParams) {
+            query[key] = value;
+        }
+
+        let request = {
+            route: route ? route[2] : null,
+            method: req.method,
+            path: pathname,
+            query: query,
+            headers: req.headers,
+            body: body
+        };
+
+        let isRawBody = route && RAW_BODY_ROUTES.includes(route[2]);
+        if (body.length > 0 && !isRawBody && (req.headers['content-type'] || '').includes('application/json')) {
+            try {
+                request.body = JSON.parse(body.toString('utf8'));
+            }
+            catch (err) {
+                this.requests.push(request);
+                return this.sendResponse(res, 400, "Invalid JSON body.");
+            }
+        }
+
+        this.requests.push(request);
+
+        if (!route) {
+            return this.sendResponse(res, 404, `No route for ${req.method} ${pathname}`);
+        }
+
+        let isStorageRoute = route[2].startsWith('storage/');
+        if (this.apiKey && !isStorageRoute && req.headers['authorization'] !== `bearer ${this.apiKey}`) {
+            return this.sendResponse(res, 401, "Invalid api key.");
+        }
+
+        let params = route[1].exec(pathname).slice(1);
+
+        try {
+            let [statusCode, responseBody, headers] = route[3].call(this, request, ...params);
+            this.sendResponse(res, statusCode, responseBody, headers);
+        }
+        catch (err) {
+            this.sendResponse(res, 500, err.toString());
+        }
+    }
+
+    sendResponse(res, statusCode, body, headers) {
+        headers = headers || {};
+
+        if (body === undefined || body === null) {
+            body = "";
+        }
+        else if (typeof(body) !== 'string' && !Buffer.isBuffer(body)) {
+            body = JSON.stringify(body);
+            headers["Content-Type"] = "application/json";
+        }
+
+        headers["Content-Length"] = Buffer.byteLength(body);
+
+        res.writeHead(statusCode, headers);
+        res.end(body);
+    }
+
+    redirect(location) {
+        return [307, "", {"Location": location}];
+    }
+
+    createApplication(request) {
+        let applicationId = newGuid();
+        let files = request.body.applicationExecutionContext.files;
+
+        this.applications[applicationId] = {
+            applicationId: applicationId,
+            payload: request.body,
+            buildStatusSequence: this.buildStatusSequence.slice()
+        };
+
+        let fileHashesRequiringUpload = files
+            .map(f => f.fileHash)
+            .filter((hash, i, hashes) => !this.files[hash] && hashes.indexOf(hash) === i);
+
+        return [200, {
+            applicationId: applicationId,
+            fileHashesRequiringUpload: fileHashesRequiringUpload
+        }];
+    }
+
+    applicationMissingFiles(request) {
+        let fileHashesRequiringUpload = request.body.fileHashes
+            .filter((hash, i, hashes) => !this.files[hash] && hashes.indexOf(hash) === i);
+
+        return [200, {fileHashesRequiringUpload: fileHashesRequiringUpload}];
+    }
+
+    applicationStatus(request, applicationId) {
+        let application = this.applications[applicationId];
+        if (!application) {
+            return [404, "Application not found."];
+        }
+
+        let buildStatus = application.buildStatusSequence.length > 1
+            ? application.buildStatusSequence.shift()
+            : application.buildStatusSequence[0];
+
+        return [200, {
+            applicationId: applicationId,
+            buildStatus: buildStatus,
+            files: application.payload.applicationExecutionContext.files
+        }];
+    }
+
+    uploadFile(request) {
+        if (!this.applications[request.body.applicationGuid]) {
+            return [404, "Application not found."];
+        }
+
+        let applicationContextFile = request.body.applicationContextFile;
+        this.files[applicationContextFile.fileHash] = {
+            applicationContextFile: applicationContextFile,
+            contents: Buffer.from(request.body.fileContents)
+        };
+
+        return [200, {}];
+    }
+
+    uploadArchive(request, applicationId) {
+        if (!this.archiveUploads) {
+            return [404, "Not Found"];
+        }
+
+        let application = this.applications[applicationId];
+        if (!application) {
+            return [404, "Application not found."];
+        }
+
+        let applicationContextFiles = application.payload.applicationExecutionContext.files;
+
+        for (let entry of readTarArchive(zlib.gunzipSync(request.body))) {
+            let applicationContextFile = applicationContextFiles.find(f => f.fileHash === entry.name);
+            if (!applicationContextFile) {
+                return [400, `Archive entry is not an application file: ${entry.name}`];
+            }
+
+            if (crypto.createHash('sha256').update(entry.contents).digest('hex') !== entry.name) {
+                return [400, `Archive entry contents do not match its file hash: ${entry.name}`];
+            }
+
+            this.files[entry.name] = {
+                applicationContextFile: applicationContextFile,
+                contents: entry.contents
+            };
+        }
+
+        return [200, {}];
+    }
+
+    createJob(request) {
+        if (!this.applications[request.body.applicationId]) {
+            return [404, "Application not found."];
+        }
+
+        if (request.body.jobType === "scheduled") {
+            let scheduledJob = {
+                jobId: newGuid(),
+                applicationId: request.body.applicationId,
+                jobType: "ScheduledJob",
+                scheduledJobCrontab: request.body.scheduledJobCrontab,
+                payload: request.body,
+                paused: false,
+                jobIds: []
+            };
+
+            this.scheduledJobs[scheduledJob.jobId] = scheduledJob;
+
+            return [200, this.jobResponse(scheduledJob)];
+        }
+
+        return [200, this.jobResponse(this.addJob(request.body))];
+    }
+
+    addJob(createJobPayload) {
+        let entrypoint = JSON.parse(createJobPayload.serializedJobEntrypoint);
+
+        let job = {
+            jobId: newGuid(),
+            applicationId: createJobPayload.applicationId,
+            jobType: "InstantJob",
+            payload: createJobPayload,
+            entrypoint: entrypoint,
+            args: getSerializer(entrypoint.serializer).decode(entrypoint.functionArguments || []),
+            statusSequence: this.jobStatusSequence.slice(),
+            logs: "",
+            stdout: "",
+            stderr: "",
+            returnValue: "null"
+        };
+
+        this.jobs[job.jobId] = job;
+
+        if (this.onJobCreated) {
+            this.onJobCreated(job);
+        }
+
+        return job;
+    }
+
+    jobResponse(job) {
+        return {
+            jobId: job.jobId,
+            applicationId: job.applicationId,
+            jobType: job.jobType
+        };
+    }
+
+    jobStatus(request, jobId) {
+        let job = this.jobs[jobId];
+        if (!job) {
+            return [404, "Job not found."];
+        }
+
+        let jobStatus = job.statusSequence.length > 1
+            ? job.statusSequence.shift()
+            : job.statusSequence[0];
+
+        return [200, Object.assign(this.jobResponse(job), {jobStatus: jobStatus})];
+    }
+
+    jobCancel(request, jobId) {
+        let job = this.jobs[jobId];
+        if (!job) {
+            return [404, "Job not found."];
+        }
+
+        let currentStatus = job.statusSequence[0];
+        if (!["finished", "error", "canceled"].includes(currentStatus)) {
+            job.statusSequence = ["canceled"];
+        }
+
+        return [200, ""];
+    }
+
+    jobLogs(request, jobId) {
+        let job = this.jobs[jobId];
+        if (!job) {
+            return [404, "Job not found."];
+        }
+
+        if (request.query.stream) {
+            let logs = request.query.stream === "stderr" ? job.stderr : job.stdout;
+            let offset = parseInt(request.query.offset || "0", 10);
+
+            return [200, Buffer.from(logs).slice(offset)];
+        }
+
+        return [200, job.logs];
+    }
+
+    jobReturnValue(request, jobId) {
+        let job = this.jobs[jobId];
+        if (!job) {
+            return [404, "Job not found."];
+        }
+
+        return [200, job.returnValue];
+    }
+
+    scheduledJobResponse(scheduledJob) {
+        return Object.assign(this.jobResponse(scheduledJob), {
+            scheduledJobCrontab: scheduledJob.scheduledJobCrontab,
+            scheduledJobStatus: scheduledJob.paused ? "paused" : "active"
+        });
+    }
+
+    scheduledJobList(request) {
+        return [200, Object.values(this.scheduledJobs).map(s => this.scheduledJobResponse(s))];
+    }
+
+    scheduledJobStatus(request, scheduledJobId) {
+        let scheduledJob = this.scheduledJobs[scheduledJobId];
+        if (!scheduledJob) {
+            return [404, "Scheduled job not found."];
+        }
+
+        return [200, this.scheduledJobResponse(scheduledJob)];
+    }
+
+    scheduledJobPause(request, scheduledJobId) {
+        let scheduledJob = this.scheduledJobs[scheduledJobId];
+        if (!scheduledJob) {
+            return [404, "Scheduled job not found."];
+        }
+
+        scheduledJob.paused = true;
+        return [200, ""];
+    }
+
+    scheduledJobResume(request, scheduledJobId) {
+        let scheduledJob = this.scheduledJobs[scheduledJobId];
+        if (!scheduledJob) {
+            return [404, "Scheduled job not found."];
+        }
+
+        scheduledJob.paused = false;
+        return [200, ""];
+    }
+
+    scheduledJobDelete(request, scheduledJobId) {
+        if (!this.scheduledJobs[scheduledJobId]) {
+            return [404, "Scheduled job not found."];
+        }
+
+        delete this.scheduledJobs[scheduledJobId];
+        return [200, ""];
+    }
+
+    scheduledJobJobs(request, scheduledJobId) {
+        let scheduledJob = this.scheduledJobs[scheduledJobId];
+        if (!scheduledJob) {
+            return [404, "Scheduled job not found."];
+        }
+
+        return [200, scheduledJob.jobIds.map(jobId => this.jobResponse(this.jobs[jobId]))];
+    }
+
+    dataStoreCreate(request) {
+        let name = request.body.dataStoreName;
+
+        if (!this.dataStores[name]) {
+            this.dataStores[name] = {
+                name: name,
+                payload: request.body,
+                files: {},
+                fileInfo: {}
+            };
+        }
+
+        return [200, ""];
+    }
+
+    dataStoreDelete(request, name) {
+        if (!this.dataStores[name]) {
+            return [404, "Data store not found."];
+        }
+
+        delete this.dataStores[name];
+        return [200, ""];
+    }
+
+    dataStoreList(request, name) {
+        if (!this.dataStores[name]) {
+            return [404, "Data store not found."];
+        }
+
+        let dataStore = this.dataStores[name];
+        let paths = Object.keys(dataStore.files);
+
+        // Requests without metadata get the flat array of paths returned by older endpoints.
+        if (!request.query.metadata) {
+            return [200, paths.filter(p => p.startsWith(request.query.prefix || "")).sort()];
+        }
+
+        return [200, listPage(paths.map(p => this.dataStoreEntry(dataStore, p)), {
+            prefix: request.query.prefix,
+            delimiter: request.query.delimiter,
+            limit: request.query.limit ? parseInt(request.query.limit, 10) : null,
+            cursor: request.query.cursor
+        })];
+    }
+
+    dataStoreStat(request, name, filePath) {
+        let dataStore = this.dataStores[name];
+        if (!dataStore || !dataStore.files[filePath]) {
+            return [404, "File not found."];
+        }
+
+        return [200, this.dataStoreEntry(dataStore, filePath)];
+    }
+
+    dataStoreEntry(dataStore, filePath) {
+        let contents = dataStore.files[filePath];
+        let fileInfo = (dataStore.fileInfo || {})[filePath] || {};
+
+        return {
+            path: filePath,
+            size: contents.length,
+            lastModified: fileInfo.lastModified || null,
+            hash: crypto.createHash('sha256').update(contents).digest('hex'),
+            contentType: fileInfo.contentType || "application/octet-stream"
+        };
+    }
+
+    dataStoreUpload(request, name, filePath) {
+        if (!this.dataStores[name]) {
+            return [404, "Data store not found."];
+        }
+
+        if (this.redirectToStorage) {
+            return this.redirect(`${this.endpoint}/storage/${name}/${filePath}`);
+        }
+
+        return this.storageUpload(request, name, filePath);
+    }
+
+    dataStoreDownload(request, name, filePath) {
+        if (!this.dataStores[name]) {
+            return [404, "Data store not found."];
+        }
+
+        if (this.redirectToStorage) {
+            return this.redirect(`${this.endpoint}/storage/${name}/${filePath}`);
+        }
+
+        return this.storageDownload(request, name, filePath);
+    }
+
+    dataStoreDeleteFile(request, name, filePath) {
+        let dataStore = this.dataStores[name];
+        if (!dataStore || !dataStore.files[filePath]) {
+            return [404, "File not found."];
+        }
+
+        delete dataStore.files[filePath];
+        delete dataStore.fileInfo[filePath];
+        return [200, ""];
+    }
+
+    storageUpload(request, name, filePath) {
+        let dataStore = this.dataStores[name];
+        if (!dataStore) {
+            return [404, "Data store not found."];
+        }
+
+        dataStore.files[filePath] = request.body;
+        dataStore.fileInfo[filePath] = {
+            lastModified: new Date().toISOString(),
+            contentType: request.headers['content-type'] || "application/octet-stream"
+        };
+        return [200, ""];
+    }
+
+    storageDownload(request, name, filePath) {
+        let dataStore = this.dataStores[name];
+        if (!dataStore || !dataStore.files[filePath]) {
+            return [404, "File not found."];
+        }
+
+        return [200, dataStore.files[filePath], {"Content-Type": "application/octet-stream"}];
+    }
+}
+
+module.exports = MockApiServer;
@@ -8,7 +8,10 @@ const crypto = require('crypto');
 const path = require('path');
 const {readFile, createTempFile} = require("./util/file");
 const runProcess = require('./util/runProcess');
-const {trace} = require('./trace');
+const {trace: defaultTrace} = require('./trace');
+const {PackagingError} = require('./errors');
+const {createIgnoreMatcher, loadIgnorePatterns} = require('./util/ignore');
+const {globToRegExp} = require('./util/glob');
 
 
 const getNodeVersion = () => {
@@ -26,8 +29,8 @@ const ApplicationPackageInfo = function(name, version) {
     this.version = version;
 };
 
-ApplicationPackageInfo.collect = async (libraryInfos) => {
-    let promise = runProcess('npm', ['list', '--depth=0', '--json']);
+ApplicationPackageInfo.collect = async (libraryInfos, trace=defaultTrace) => {
+    let promise = runProcess('npm', ['list', '--depth=0', '--json'], null, null, false, trace);
     // let promise = new Promise(function(resolve, reject){
     //         require('child_process').exec('npm list --depth=0 --json', function(err, stdout, stderr) {
     //             err ? reject(err) : resolve(JSON.parse(stdout));
@@ -38,10 +41,10 @@ ApplicationPackageInfo.collect = async (libraryInfos) => {
         await promise;
     } catch (err) {
         trace("ERROR collecting application package info.");
-        
-        console.error(promise.stderr());
 
-        throw new Error("Error while collecting application packages. " + err.toString());
+        throw new PackagingError(`Error while collecting application packages. ${err.toString()}\n${promise.stderr()}`, {
+            cause: err instanceof Error ? err : null
+        });
     }
 
     let npmPackageDetails = JSON.parse(promise.stdout());
@@ -55,7 +58,7 @@ ApplicationPackageInfo.collect = async (libraryInfos) => {
 
         // Throw if package missing
         if (dependencyDetails.missing) {
-            throw new Error(`Error: package ${npmPackageName} is missing.`);
+            throw new PackagingError(`Error: package ${npmPackageName} is missing.`);
         }
 
         if (libraryInfos[npmPackageName]) {
@@ -76,8 +79,11 @@ const ApplicationContextFile = function(filePath, filePathRelativeToAppContext,
     this.fileByteCount = fileByteCount;
     this.fileContents = fileContents;
 
+    // Why the file was included, any of "extraFiles", "require.cache", "cwd" and "library". Not sent to the API.
+    this.includedBy = [];
+
     this.toJSON = () => {
-        let filteredKeys = Object.keys(this).sort().filter(k => k !== 'fileContents' && k !== 'toJSON');
+        let filteredKeys = Object.keys(this).sort().filter(k => k !== 'fileContents' && k !== 'includedBy' && k !== 'toJSON');
         let filteredObj = {};
         for (let filteredKey of filteredKeys) {
             filteredObj[filteredKey] = this[filteredKey];
@@ -87,7 +93,7 @@ const ApplicationContextFile = function(filePath, filePathRelativeToAppContext,
     }
 };
 
-const listFiles = (extensions, dir) => {
+const listFiles = (extensions, dir, isIgnored) => {
     dir = dir || process.cwd();
 
     let results = [];
@@ -95,9 +101,13 @@ const listFiles = (extensions, dir) => {
     list.forEach(function(file) {
         file = dir + '/' + file;
         let stat = fs.statSync(file);
+        if (isIgnored && isIgnored(file, stat.isDirectory())) {
+            /* Skip ignored files and don't descend into ignored directories */
+            return;
+        }
         if (stat && stat.isDirectory()) {
             /* Recurse into a subdirectory */
-            results = results.concat(listFiles(extensions, file));
+            results = results.concat(listFiles(extensions, file, isIgnored));
         } else {
             /* Is a file */
             results.push(file);
@@ -111,7 +121,80 @@ const listFiles = (extensions, dir) => {
     return results.filter(f => extensions.includes(path.extname(f)));
 };
 
-const getLibraryInfos = async (libraries) => {
+const isGlobPattern = (pattern) => /[*?[]/.test(pattern) || pattern.startsWith("!");
+
+// Expands extraFiles entries, which are file or directory paths or glob patterns, in order. 
+// An entry starting with "!" removes the files matched by earlier entries. Returns an object 
+// mapping each relative file path to whether it was listed directly rather than matched.
+const expandExtraFiles = (extraFiles, isIgnored) => {
+    let expandedFiles = {};
+    let cwdFiles = null;
+
+    for (let extraFile of extraFiles) {
+        if (!isGlobPattern(extraFile)) {
+            let relativePath = path.relative(process.cwd(), extraFile);
+
+            let stats;
+            try {
+                stats = fs.statSync(relativePath);
+            } catch (err) {
+                if (err.code === 'ENOENT') {
+                    throw new PackagingError(`Extra file or directory was not found: ${extraFile}`, {cause: err});
+                }
+
+                throw err;
+            }
+
+            if (stats.isDirectory()) {
+                for (let dirFile of listFiles(["*"], relativePath, isIgnored)) {
+                    expandedFiles[path.relative(process.cwd(), dirFile)] = false;
+                }
+            }
+            else {
+                expandedFiles[relativePath] = true;
+            }
+
+            continue;
+        }
+
+        let negate = extraFile.startsWith("!");
+        let pattern = (negate ? extraFile.substring(1) : extraFile).replace(/^\.\//, "");
+        let patternRegExp = globToRegExp(pattern);
+
+        const matches = (relativePath) => patternRegExp.test(relativePath.split(path.sep).join("/"));
+
+        if (negate) {
+            for (let relativePath of Object.keys(expandedFiles)) {
+                if (matches(relativePath)) {
+                    delete expandedFiles[relativePath];
+                }
+            }
+
+            continue;
+        }
+
+        if (cwdFiles === null) {
+            cwdFiles = listFiles(["*"], null, isIgnored).map(f => path.relative(process.cwd(), f));
+        }
+
+        let matchedFiles = cwdFiles.filter(matches);
+        if (matchedFiles.length === 0) {
+            throw new PackagingError(`Extra file pattern did not match any files: ${extraFile}`);
+        }
+
+        for (let relativePath of matchedFiles) {
+            if (expandedFiles[relativePath] === undefined) {
+                expandedFiles[relativePath] = false;
+            }
+        }
+    }
+
+    return expandedFiles;
+};
+
+// When a hashCache is given, libraries whose sources are unchanged reuse the archive packed by an earlier call.
+// Traced with the given trace function, such as a client's, or the default one.
+const getLibraryInfos = async (libraries, hashCache, trace=defaultTrace) => {
     if (! libraries || !Array.isArray(libraries)) {
         console.log('return empty');
         return {};
@@ -125,14 +208,14 @@ const getLibraryInfos = async (libraries) => {
             dirStat = fs.statSync(library);
         } catch (err) {
             if (err.code === 'ENOENT' && err.message.includes('no such file or directory')) {
-                throw new Error(`Library directory was not found: ${library}`);
+                throw new PackagingError(`Library directory was not found: ${library}`, {cause: err});
             }
 
             throw err;
         }
 
         if (! dirStat.isDirectory()) {
-            throw new Error(`Specified library path is not a directory: ${library}.`);
+            throw new PackagingError(`Specified library path is not a directory: ${library}.`);
         }
 
         let packageJsonStat;
@@ -140,14 +223,14 @@ const getLibraryInfos = async (libraries) => {
             packageJsonStat = fs.statSync(path.join(library, "package.json"));
         } catch (err) {
             if (err.code === 'ENOENT' && err.message.includes('no such file or directory')) {
-                throw new Error(`Library directory does not include a 'package.json' file: ${library}`);
+                throw new PackagingError(`Library directory does not include a 'package.json' file: ${library}`, {cause: err});
             }
 
             throw err;
         }
 
         if (!packageJsonStat.isFile()) {
-            throw new Error(`Library directory does not include a 'package.json' file: ${library}`);
+            throw new PackagingError(`Library directory does not include a 'package.json' file: ${library}`);
         }
 
         let libraryPackageName, packageJson;
@@ -155,21 +238,47 @@ const getLibraryInfos = async (libraries) => {
             let packageJsonContents = await readFile(path.join(library, "package.json"));
             packageJson = JSON.parse(packageJsonContents);
         } catch (err) {
-            throw new Error(`Unable to parse library's package.json: ${library}`)
+            throw new PackagingError(`Unable to parse library's package.json: ${library}`, {cause: err});
         }
 
         if (!packageJson["name"]) {
-            throw new Error(`Library's package.json has no 'name' property.`);
+            throw new PackagingError(`Library's package.json has no 'name' property: ${library}`);
         }
 
         libraryPackageName = packageJson["name"];
 
+        let libraryAbsPath = path.resolve(path.normalize(library));
+
+        let sourceKey = hashCache ? hashCache.librarySourceKey(libraryAbsPath) : null;
+        let cachedArchive = sourceKey ? hashCache.getLibraryArchive(libraryAbsPath, sourceKey) : null;
+
+        if (cachedArchive) {
+            trace(`Using cached archive of library: ${library}`);
+
+            libraryInfos[libraryPackageName] = {
+                packageName: libraryPackageName,
+                archiveContextFile: new ApplicationContextFile(
+                    cachedArchive.archivePath,
+                    path.join("aegisblade_lib", cachedArchive.archiveFileName),
+                    cachedArchive.fileHash,
+                    cachedArchive.fileByteCount,
+                    null)
+            };
+
+            continue;
+        }
+
         let tempFile = await createTempFile();
         let tempDir = path.dirname(tempFile);
-        let libraryAbsPath = path.resolve(path.normalize(library));
 
-        let npmPackPromise = runProcess('npm', ['pack', '--json', libraryAbsPath], tempDir);
-        await npmPackPromise;
+        let npmPackPromise = runProcess('npm', ['pack', '--json', libraryAbsPath], tempDir, null, false, trace);
+        try {
+            await npmPackPromise;
+        } catch (err) {
+            throw new PackagingError(`Error while packing library: ${library}. ${err.toString()}\n${npmPackPromise.stderr()}`, {
+                cause: err instanceof Error ? err : null
+            });
+        }
 
         let npmPackStdout = npmPackPromise.stdout();
 
@@ -198,7 +307,11 @@ const getLibraryInfos = async (libraries) => {
         const fileHash = hash.digest('hex');
 
         const fileByteCount = Buffer.byteLength(libraryArchiveContents);
-        let fileContentsByteArray = libraryArchiveContents.toJSON().data;
+
+        if (sourceKey) {
+            libraryArchivePath = hashCache.setLibraryArchive(libraryAbsPath, sourceKey,
+                libraryArchivePath, libraryArchive, fileHash, fileByteCount);
+        }
 
         let libraryInfo = {
             packageName: libraryPackageName,
@@ -207,40 +320,51 @@ const getLibraryInfos = async (libraries) => {
                 relLibraryArchivePath,
                 fileHash,
                 fileByteCount,
-                fileContentsByteArray)
+                libraryArchiveContents)
         };
 
         libraryInfos[libraryInfo.packageName] = libraryInfo;
     }
 
+    if (hashCache) {
+        hashCache.save();
+    }
+
     return libraryInfos;
 };
 
-ApplicationContextFile.collect = async (extraFiles, libraryInfos) => {
+// Files matched by the .aegisignore file (or .gitignore, when options.useGitignore is set) or by
+// options.exclude are left out, except for files listed directly in extraFiles. Files under cwd 
+// with one of options.includeExtensions are included along with the ".js" files. When a hashCache 
+// is given, unchanged files are not read or hashed again and their fileContents are left null.
+ApplicationContextFile.collect = async (extraFiles, libraryInfos, options={}, hashCache=null) => {
     const excludedPatterns = [
         /node_modules/,
         /\.\./,
     ];
 
-    const jsExtensions = [".js"];
+    const jsExtensions = [".js"].concat((options.includeExtensions || [])
+        .map(extension => extension.startsWith(".") ? extension : "." + extension));
 
+    const isIgnoredPath = createIgnoreMatcher(loadIgnorePatterns(process.cwd(), options));
+    const isIgnored = (filePath, isDirectory) => isIgnoredPath(path.relative(process.cwd(), filePath), isDirectory);
+
+    // Each module path maps to the list of reasons it was included.
     let allModulesSet = {};
+    let explicitFilesSet = {};
 
-    // First add the extra files
-    extraFiles = extraFiles || [];
-    for (let extraFile of extraFiles) {
-        let relativePath = path.relative(process.cwd(), extraFile);
+    const addModule = (relativePath, reason) => {
+        allModulesSet[relativePath] = allModulesSet[relativePath] || [];
+        allModulesSet[relativePath].push(reason);
+    };
 
-        let stats = fs.statSync(relativePath);
-        if (stats.isDirectory()) {
-            for (let dirFile of listFiles(["*"], relativePath)) {
-                let relativeDirFile = path.relative(process.cwd(), dirFile);
+    // First add the extra files
+    let expandedExtraFiles = expandExtraFiles(extraFiles || [], isIgnored);
+    for (let relativePath of Object.keys(expandedExtraFiles)) {
+        addModule(relativePath, "extraFiles");
 
-                allModulesSet[relativeDirFile] = true;
-            }
-        }
-        else {
-            allModulesSet[relativePath] = true;
+        if (expandedExtraFiles[relativePath]) {
+            explicitFilesSet[relativePath] = true;
         }
     }
 
@@ -248,14 +372,14 @@ ApplicationContextFile.collect = async (extraFiles, libraryInfos) => {
     for (let requiredModulePath of Object.keys(require.cache))
     {
         let relativeModulePath = path.relative(process.cwd(), requiredModulePath);
-        allModulesSet[relativeModulePath] = true;
+        addModule(relativeModulePath, "require.cache");
     }
 
-    // Try to list out all ".js" files under cwd
-    let jsFilesArr = listFiles(jsExtensions);
+    // Try to list out all ".js" (and included extension) files under cwd
+    let jsFilesArr = listFiles(jsExtensions, null, isIgnored);
     for (let jsFile of jsFilesArr) {
         let relativeModulePath = path.relative(process.cwd(), jsFile);
-        allModulesSet[relativeModulePath] = true;
+        addModule(relativeModulePath, "cwd");
     }
 
     let allModules = Object.keys(allModulesSet);
@@ -268,6 +392,10 @@ ApplicationContextFile.collect = async (extraFiles, libraryInfos) => {
                return false;
            }
        }
+
+       if (!explicitFilesSet[relElem] && isIgnored(elem, false)) {
+           return false;
+       }
         // console.log(relElem);
 
        return true;
@@ -278,30 +406,47 @@ ApplicationContextFile.collect = async (extraFiles, libraryInfos) => {
 
     for (let filePath of allApplicationFilePaths) {
         let relFilePath = path.relative(process.cwd(), filePath);
-        let fileContents = await readFile(filePath);
+        let stats = fs.statSync(filePath);
 
-        const hash = crypto.createHash('sha256');
-        hash.update(fileContents, 'utf8');
-        const fileHash = hash.digest('hex');
+        let fileContents = null;
+        let fileHash = hashCache ? hashCache.getFileHash(filePath, stats) : null;
+        let fileByteCount = stats.size;
 
-        const fileByteCount = Buffer.byteLength(fileContents, 'utf8');
+        if (!fileHash) {
+            fileContents = await readFile(filePath, null);
 
-        let fileContentsByteArray = Buffer.from( fileContents, 'utf8' ).toJSON().data;
+            const hash = crypto.createHash('sha256');
+            hash.update(fileContents);
+            fileHash = hash.digest('hex');
+
+            fileByteCount = fileContents.length;
+
+            if (hashCache) {
+                hashCache.setFileHash(filePath, stats, fileHash);
+            }
+        }
 
         let applicationContextFile = new ApplicationContextFile(
             filePath,
             relFilePath,
             fileHash,
             fileByteCount,
-            fileContentsByteArray);
+            fileContents);
+
+        applicationContextFile.includedBy = allModulesSet[filePath];
 
         applicationContextFiles.push(applicationContextFile)
     }
 
     for (let libraryInfo of Object.values(libraryInfos)) {
+        libraryInfo.archiveContextFile.includedBy = ["library"];
         applicationContextFiles.push(libraryInfo.archiveContextFile);
     }
 
+    if (hashCache) {
+        hashCache.save();
+    }
+
     return applicationContextFiles;
 };
 
@@ -350,7 +495,7 @@ const CreateJobPayload = function(applicationId, serializedJobEntrypoint, jobTyp
 
 const UploadFilePayload = function(applicationContextFile, fileContents, applicationId) {
     this.applicationContextFile = applicationContextFile;
-    this.fileContents = fileContents;
+    this.fileContents = Buffer.isBuffer(fileContents) ? fileContents.toJSON().data : fileContents;
     this.applicationGuid = applicationId;
 };
 
@@ -367,6 +512,7 @@ module.exports = {
     CreateJobPayload,
     CreateApplicationPayload,
     ApplicationExecutionContext,
+    HostDefinition,
     ApplicationContextFile,
     ApplicationPackageInfo,
     CreateDataStorePayload,
@@ -0,0 +1,123 @@
+// A part of the AegisBlade Node.js Client Library
+// Copyright (C) 2019 Thornbury Organization, Bryan Thornbury
+// This file may be used under the terms of the GNU Lesser General Public License, version 2.1.
+// For more details see: https://www.gnu.org/licenses/lgpl-2.1.html
+
+const Job = require("./job");
+
+/**
+ * An object for managing a scheduled job.
+ *
+ * <p>
+ * This is typically returned by a call to [AegisBladeClient.schedule()]{@link AegisBladeClient#schedule} but may
+ * be constructed from a saved [ScheduledJob.id]{@link ScheduledJob#id} by calling the
+ * [AegisBladeClient.scheduledJob()]{@link AegisBladeClient#scheduledJob} method.
+ * </p>
+ *
+ * <p>
+ * A scheduled job creates a new {@link Job} each time its crontab
+ * expression is triggered.
+ * </p>
+ */
+class ScheduledJob {
+    /**
+     * Do not use the constructor directly. Use [AegisBladeClient.scheduledJob()]{@link AegisBladeClient#scheduledJob}
+     * to get a reference to an existing scheduled job or [AegisBladeClient.schedule()]{@link AegisBladeClient#schedule}
+     * to create a new scheduled job.
+     */
+    constructor(api, scheduledJobId, applicationId, crontab)
+    {
+        this.api = api;
+
+        /**
+         * The GUID-like id of the scheduled job.
+         *
+         * @type {string}
+         */
+        this.id = scheduledJobId;
+
+        /**
+         * The GUID-like id of the application the scheduled job's jobs will run on.
+         *
+         * @type {string}
+         */
+        this.applicationId = applicationId;
+
+        /**
+         * The crontab expression determining when jobs are created.
+         *
+         * @type {string}
+         */
+        this.crontab = crontab;
+    }
+
+    /**
+     * Retrieves the status of this scheduled job from AegisBlade servers.
+     *
+     * @returns {Promise<Object>} An object detailing the status of the scheduled job,
+     *      including whether it is paused.
+     */
+    async getStatus() {
+        let statusResult = await this.api.scheduledJobStatus(this.id);
+
+        this.api.trace(`Scheduled Job (id: ${this.id}), received status result.`);
+        this.api.trace(statusResult, console.dir);
+
+        return statusResult;
+    }
+
+    /**
+     * Pauses the scheduled job. No jobs will be created until it is resumed.
+     *
+     * @returns {Promise<ScheduledJob>} The current object for chaining method calls.
+     */
+    async pause() {
+        await this.api.scheduledJobPause(this.id);
+
+        return this;
+    }
+
+    /**
+     * Resumes a paused scheduled job.
+     *
+     * @returns {Promise<ScheduledJob>} The current object for chaining method calls.
+     */
+    async resume() {
+        await this.api.scheduledJobResume(this.id);
+
+        return this;
+    }
+
+    /**
+     * Deletes the scheduled job. Jobs already created by the
+     * scheduled job are not affected.
+     */
+    async delete() {
+        await this.api.scheduledJobDelete(this.id);
+    }
+
+    /**
+     * Lists the jobs created by this scheduled job.
+     *
+     * @returns {Promise<Job[]>} A {@link Job} instance for each job created by the scheduled job.
+     */
+    async listJobs() {
+        let jobResponses = await this.api.scheduledJobJobs(this.id);
+
+        return jobResponses.map(jobResponse => Job.create(this.api, jobResponse));
+    }
+
+    /**
+     * Static method for creating a scheduled job instance.
+     * NOT RECOMMENDED outside internal use.
+     *
+     * @param {Api} api
+     * @param {Object} apiResponse
+     * @private
+     */
+    static create(api, apiResponse) {
+        return new ScheduledJob(api, apiResponse.jobId, apiResponse.applicationId, apiResponse.scheduledJobCrontab);
+    }
+}
+
+module.exports = ScheduledJob;
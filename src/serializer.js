@@ -0,0 +1,391 @@
+// A part of the AegisBlade Node.js Client Library
+// Copyright (C) 2019 Thornbury Organization, Bryan Thornbury
+// This file may be used under the terms of the GNU Lesser General Public License, version 2.1.
+// For more details see: https://www.gnu.org/licenses/lgpl-2.1.html
+
+const {AegisBladeError} = require("./errors");
+
+const TAG = "$aegisblade";
+
+const TYPED_ARRAY_NAMES = [
+    "Int8Array", "Uint8Array", "Uint8ClampedArray", "Int16Array", "Uint16Array",
+    "Int32Array", "Uint32Array", "Float32Array", "Float64Array", "BigInt64Array", "BigUint64Array"
+];
+
+const TYPED_ARRAYS = TYPED_ARRAY_NAMES
+    .filter(name => typeof(global[name]) === 'function')
+    .map(name => global[name]);
+
+const toBase64 = (view) => Buffer.from(view.buffer, view.byteOffset, view.byteLength).toString('base64');
+
+const fromBase64 = (value) => {
+    let bytes = Buffer.from(value, 'base64');
+
+    // Copied so the result does not share the Buffer's pooled memory.
+    let arrayBuffer = new ArrayBuffer(bytes.length);
+    new Uint8Array(arrayBuffer).set(bytes);
+
+    return arrayBuffer;
+};
+
+/**
+ * The codecs for types that JSON does not preserve. Buffer is checked before
+ * the typed arrays because a Buffer is also a Uint8Array.
+ */
+const BUILTIN_CODECS = [
+    {
+        name: "Buffer",
+        test: (value) => Buffer.isBuffer(value),
+        encode: (value) => value.toString('base64'),
+        decode: (value) => Buffer.from(value, 'base64')
+    },
+    {
+        name: "Date",
+        type: Date,
+        encode: (value) => isNaN(value.getTime()) ? null : value.toISOString(),
+        decode: (value) => new Date(value === null ? NaN : value)
+    },
+    {
+        name: "Map",
+        type: Map,
+        encode: (value) => Array.from(value.entries()),
+        decode: (value) => new Map(value)
+    },
+    {
+        name: "Set",
+        type: Set,
+        encode: (value) => Array.from(value.values()),
+        decode: (value) => new Set(value)
+    },
+    {
+        name: "RegExp",
+        type: RegExp,
+        encode: (value) => ({source: value.source, flags: value.flags}),
+        decode: (value) => new RegExp(value.source, value.flags)
+    },
+    {
+        name: "ArrayBuffer",
+        type: ArrayBuffer,
+        encode: (value) => Buffer.from(value).toString('base64'),
+        decode: (value) => fromBase64(value)
+    },
+    ...TYPED_ARRAYS.map(TypedArray => ({
+        name: TypedArray.name,
+        type: TypedArray,
+        encode: (value) => toBase64(value),
+        decode: (value) => new TypedArray(fromBase64(value))
+    }))
+];
+
+/**
+ * Converts job arguments and return values to and from JSON compatible values.
+ *
+ * <p>
+ * By default jobs on the "local" host driver use a Serializer with a tagged encoding that round-trips values
+ * which plain JSON would mangle: `undefined`, NaN and Infinity, BigInts, Buffers,
+ * Dates, Maps, Sets, RegExps, ArrayBuffers and typed arrays. Each such value is encoded
+ * as an object like `{"$aegisblade": "Date", "value": "2019-10-04T00:00:00.000Z"}`.
+ * Values that are plain JSON encode to themselves.
+ * </p>
+ *
+ * <p>
+ * Instances of your own classes may be round-tripped by registering a codec with
+ * [AegisBladeClient.registerCodec()]{@link AegisBladeClient#registerCodec}. The codec
+ * must also be registered in the job's process, so register it at the top level of a
+ * module that the target function's module requires.
+ * </p>
+ *
+ * <p>
+ * Any object with a `name` and `encode(value)` and `decode(data)` methods may be used
+ * in place of a Serializer with [AegisBladeClient.setSerializer()]{@link AegisBladeClient#setSerializer}.
+ * </p>
+ */
+class Serializer {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.name] (default="tagged") The name the job's process looks
+     *      the serializer up by.
+     */
+    constructor(options={}) {
+        /**
+         * The name of the serializer, recorded in each job's entrypoint.
+         *
+         * @type {string}
+         */
+        this.name = options.name || "tagged";
+
+        this.codecs = [];
+    }
+
+    /**
+     * Registers a codec for a custom type. A codec registered with the name of
+     * an existing codec replaces it.
+     *
+     * @param {Object} codec
+     * @param {string} codec.name A unique name for the type, recorded in the encoded value.
+     * @param {function} [codec.type] A class. Its instances are encoded with the codec.
+     * @param {function} [codec.test] A function returning whether a value should be encoded
+     *      with the codec. Used instead of `type`.
+     * @param {function} codec.encode Converts an instance to a value that is itself serializable.
+     * @param {function} codec.decode Converts the decoded value back to an instance.
+     * @returns {Serializer} The current object for chaining method calls.
+     *
+     * @example <caption>Example registering a codec for a class</caption>
+     * aegisblade.registerCodec({
+     *     name: "Point",
+     *     type: Point,
+     *     encode: (point) => [point.x, point.y],
+     *     decode: ([x, y]) => new Point(x, y)
+     * });
+     */
+    registerCodec(codec) {
+        if (!codec || typeof(codec.name) !== 'string' || codec.name === "") {
+            throw new AegisBladeError("Invalid Argument: codec must have a string name.");
+        }
+
+        if (typeof(codec.type) !== 'function' && typeof(codec.test) !== 'function') {
+            throw new AegisBladeError(`Invalid Argument: codec '${codec.name}' must have a type or test function.`);
+        }
+
+        if (typeof(codec.encode) !== 'function' || typeof(codec.decode) !== 'function') {
+            throw new AegisBladeError(`Invalid Argument: codec '${codec.name}' must have encode and decode functions.`);
+        }
+
+        this.codecs = this.codecs.filter(c => c.name !== codec.name);
+        this.codecs.push(codec);
+
+        return this;
+    }
+
+    /**
+     * Returns a new Serializer with the same name and codecs. Codecs registered
+     * on either one afterwards are not shared with the other.
+     *
+     * @returns {Serializer}
+     */
+    clone() {
+        let serializer = new Serializer({name: this.name});
+        serializer.codecs = this.codecs.slice();
+
+        return serializer;
+    }
+
+    /**
+     * Encodes a value to a JSON compatible value.
+     *
+     * @param {*} value
+     * @returns {*}
+     *
+     * @throws {AegisBladeError} If the value contains a function, a symbol or a circular reference.
+     */
+    encode(value) {
+        return this.encodeValue(value, []);
+    }
+
+    /**
+     * Decodes a value produced by [Serializer.encode()]{@link Serializer#encode}.
+     *
+     * @param {*} data
+     * @returns {*}
+     *
+     * @throws {AegisBladeError} If the data contains a type with no registered codec.
+     */
+    decode(data) {
+        if (Array.isArray(data)) {
+            return data.map(item => this.decode(item));
+        }
+
+        if (data === null || typeof(data) !== 'object') {
+            return data;
+        }
+
+        if (!Object.prototype.hasOwnProperty.call(data, TAG)) {
+            return this.decodeEntries(data);
+        }
+
+        let typeName = data[TAG];
+
+        switch (typeName) {
+            case "undefined":
+                return undefined;
+            case "Number":
+                return Number(data.value);
+            case "BigInt":
+                return BigInt(data.value);
+            case "Object":
+                return this.decodeEntries(data.value);
+        }
+
+        let codec = this.findCodec(c => c.name === typeName);
+        if (!codec) {
+            throw new AegisBladeError(`Unable to deserialize value of type '${typeName}', no codec is registered for it.`);
+        }
+
+        return codec.decode(this.decode(data.value));
+    }
+
+    /**
+     * Encodes a value to a JSON string.
+     *
+     * @param {*} value
+     * @returns {string}
+     */
+    serialize(value) {
+        return JSON.stringify(this.encode(value));
+    }
+
+    /**
+     * Decodes a JSON string produced by [Serializer.serialize()]{@link Serializer#serialize}.
+     *
+     * @param {string} text
+     * @returns {*}
+     */
+    deserialize(text) {
+        return this.decode(JSON.parse(text));
+    }
+
+    encodeValue(value, ancestors) {
+        switch (typeof(value)) {
+            case 'undefined':
+                return {[TAG]: "undefined"};
+            case 'boolean':
+            case 'string':
+                return value;
+            case 'number':
+                return isFinite(value) ? value : {[TAG]: "Number", value: String(value)};
+            case 'bigint':
+                return {[TAG]: "BigInt", value: value.toString()};
+            case 'function':
+            case 'symbol':
+                throw new AegisBladeError(`Unable to serialize value of type ${typeof(value)}.`);
+        }
+
+        if (value === null) {
+            return null;
+        }
+
+        if (ancestors.includes(value)) {
+            throw new AegisBladeError("Unable to serialize value with a circular reference.");
+        }
+
+        ancestors.push(value);
+
+        try {
+            if (Array.isArray(value)) {
+                return value.map(item => this.encodeValue(item, ancestors));
+            }
+
+            let codec = this.findCodec(c => c.type ? value instanceof c.type : c.test(value));
+            if (codec) {
+                return {[TAG]: codec.name, value: this.encodeValue(codec.encode(value), ancestors)};
+            }
+
+            if (typeof(value.toJSON) === 'function') {
+                return this.encodeValue(value.toJSON(), ancestors);
+            }
+
+            let entries = {};
+            for (let key of Object.keys(value)) {
+                entries[key] = this.encodeValue(value[key], ancestors);
+            }
+
+            // Objects that happen to have the tag property are wrapped so they are not mistaken for encoded values.
+            if (Object.prototype.hasOwnProperty.call(entries, TAG)) {
+                return {[TAG]: "Object", value: entries};
+            }
+
+            return entries;
+        } finally {
+            ancestors.pop();
+        }
+    }
+
+    decodeEntries(data) {
+        let result = {};
+        for (let key of Object.keys(data)) {
+            result[key] = this.decode(data[key]);
+        }
+
+        return result;
+    }
+
+    /**
+     * Finds a codec, preferring registered codecs over the built in ones.
+     */
+    findCodec(predicate) {
+        for (let i = this.codecs.length - 1; i >= 0; --i) {
+            if (predicate(this.codecs[i])) {
+                return this.codecs[i];
+            }
+        }
+
+        return BUILTIN_CODECS.find(predicate) || null;
+    }
+}
+
+/**
+ * A serializer that encodes values as plain JSON, as `JSON.stringify` would.
+ *
+ * @private
+ */
+const jsonSerializer = {
+    name: "json",
+    encode: (value) => {
+        try {
+            return value === undefined ? null : JSON.parse(JSON.stringify(value));
+        } catch (err) {
+            // Such as a BigInt or a circular reference.
+            throw new AegisBladeError(`Unable to serialize value as JSON. ${err.message}`, {cause: err});
+        }
+    },
+    decode: (data) => data
+};
+
+/**
+ * The serializer used when none is configured. Each client uses its own clone, so codecs
+ * registered on one client are not used by another.
+ *
+ * @private
+ */
+const defaultSerializer = new Serializer();
+
+const serializers = {};
+
+/**
+ * Registers a serializer so that a job's process can look it up by name.
+ *
+ * @param {Object} serializer
+ * @private
+ */
+const registerSerializer = (serializer) => {
+    if (!serializer || typeof(serializer.name) !== 'string'
+        || typeof(serializer.encode) !== 'function' || typeof(serializer.decode) !== 'function') {
+        throw new AegisBladeError("Invalid Argument: serializer must have a name and encode and decode functions.");
+    }
+
+    serializers[serializer.name] = serializer;
+};
+
+/**
+ * Returns the serializer registered with a name. Entrypoints without a
+ * serializer name were serialized as plain JSON.
+ *
+ * @param {string} [name]
+ * @returns {Object}
+ * @private
+ *
+ * @throws {AegisBladeError} If no serializer is registered with the name.
+ */
+const getSerializer = (name) => {
+    let serializer = serializers[name || jsonSerializer.name];
+    if (!serializer) {
+        throw new AegisBladeError(`No serializer is registered with the name '${name}'.`);
+    }
+
+    return serializer;
+};
+
+registerSerializer(jsonSerializer);
+registerSerializer(defaultSerializer);
+
+module.exports = {Serializer, jsonSerializer, defaultSerializer, registerSerializer, getSerializer};
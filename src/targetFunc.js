@@ -9,6 +9,8 @@
  */
 
 const path = require('path');
+const {AegisBladeError} = require('./errors');
+const {defaultSerializer, jsonSerializer} = require('./serializer');
 
 /**
  * Searches the module tree's exports for the target function.
@@ -51,7 +53,7 @@ const searchForTargetFunctionModule = (targetFunction) => {
         }
     }
 
-    throw new Error(`Unable to find module for target function: ${targetFunction.name}. Target function must be in module.exports of the enclosing module.`);
+    throw new AegisBladeError(`Unable to find module for target function: ${targetFunction.name}. Target function must be in module.exports of the enclosing module.`);
 };
 
 /**
@@ -74,6 +76,42 @@ const targetFunctionComponents = (targetFunction) => {
     };
 };
 
+/**
+ * Locates the target function and serializes the job entrypoint used to call 
+ * it with the given arguments in another process.
+ * 
+ * @param {function} targetFunction 
+ * @param {Array} args The arguments for the target function.
+ * @param {Object} [serializer] The serializer used to encode the arguments.
+ * 
+ * @returns {string} The serialized entrypoint.
+ * 
+ * @throws {AegisBladeError} If targetFunction is not a function or cannot be located in the module tree's exports.
+ * @throws {AegisBladeError} If the arguments cannot be serialized.
+ */
+const serializeEntrypoint = (targetFunction, args, serializer=defaultSerializer) => {
+    if (typeof(targetFunction) !== typeof(() => {})) {
+        throw new AegisBladeError("targetFunction parameter must be a function");
+    }
+
+    let {name: targetFunctionName, 
+        relFile: relativeTargetFunctionModuleFile} = targetFunctionComponents(targetFunction);
+
+    let entrypoint = {
+        functionModuleFile: relativeTargetFunctionModuleFile,
+        functionName: targetFunctionName,
+        functionArguments: serializer.encode(args || [])
+    };
+
+    // Entrypoints without a serializer name hold plain JSON arguments, the only format older runtimes decode.
+    if (serializer.name !== jsonSerializer.name) {
+        entrypoint.serializer = serializer.name;
+    }
+
+    return JSON.stringify(entrypoint);
+};
+
 module.exports = {
-    targetFunctionComponents: targetFunctionComponents
+    targetFunctionComponents: targetFunctionComponents,
+    serializeEntrypoint: serializeEntrypoint
 };
\ No newline at end of file
@@ -8,8 +8,30 @@ const env = require("./env.js");
 const DebugMode = () => env.debugOutput === "1" 
     || env.debugOutput === "true";
 
-module.exports.trace = (msg, log = console.log) => {
+const trace = (msg, log = console.log) => {
     if (DebugMode()) {
         log(msg);
     }
-}
\ No newline at end of file
+}
+
+/**
+ * Creates a trace function that writes to a logger, such as a client's, instead of the console.
+ * Messages traced with console.error are passed to the logger's `error` method and others to 
+ * its `debug` method, whether or not debug output is enabled. Without a logger, returns the 
+ * default trace function.
+ */
+const createTrace = (logger) => {
+    if (!logger)
+        return trace;
+
+    return (msg, log = console.log) => {
+        if (log === console.error) {
+            logger.error(msg);
+        }
+        else {
+            logger.debug(msg);
+        }
+    };
+}
+
+module.exports = {trace, createTrace};
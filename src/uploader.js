@@ -0,0 +1,242 @@
+// A part of the AegisBlade Node.js Client Library
+// Copyright (C) 2019 Thornbury Organization, Bryan Thornbury
+// This file may be used under the terms of the GNU Lesser General Public License, version 2.1.
+// For more details see: https://www.gnu.org/licenses/lgpl-2.1.html
+
+/**
+ * @module uploader
+ * @private
+ */
+
+const zlib = require('zlib');
+const crypto = require('crypto');
+const {promisify} = require('util');
+const {UploadFilePayload} = require("./models");
+const {createTarArchive} = require("./util/tar");
+const {throwIfAborted, isAbortError} = require("./util/abort");
+const {mapWithConcurrency} = require("./util/concurrency");
+const {readFile} = require("./util/file");
+const {ApiError, NotFoundError, UploadError, PackagingError} = require("./errors");
+
+const gzip = promisify(zlib.gzip);
+
+// Status codes returned by endpoints that do not accept archive uploads. A 404 only
+// means the same when it is a missing route rather than a missing application, see isRouteNotFoundError.
+const ARCHIVE_UNSUPPORTED_STATUS_CODES = [405, 415, 501];
+
+// Files are split into archives of about this many bytes so they can be uploaded concurrently.
+const ARCHIVE_BATCH_BYTES = 8 * 1024 * 1024;
+
+const DEFAULT_UPLOAD_CONCURRENCY = 4;
+
+/**
+ * Splits files into batches of about maxBytes each. A file larger than
+ * maxBytes gets a batch of its own.
+ */
+const batchFiles = (files, maxBytes) => {
+    let batches = [];
+    let batch = [];
+    let batchBytes = 0;
+
+    for (let file of files) {
+        if (batch.length > 0 && batchBytes + file.fileByteCount > maxBytes) {
+            batches.push(batch);
+            batch = [];
+            batchBytes = 0;
+        }
+
+        batch.push(file);
+        batchBytes += file.fileByteCount;
+    }
+
+    if (batch.length > 0) {
+        batches.push(batch);
+    }
+
+    return batches;
+};
+
+/**
+ * Returns the contents of a file, reading them from disk if they were not
+ * kept when the file was collected. Contents read from disk are checked
+ * against the file's hash, since the file may have changed since then.
+ */
+const getFileContents = async (file) => {
+    if (file.fileContents) {
+        return file.fileContents;
+    }
+
+    let fileContents = await readFile(file.filePath, null);
+
+    let fileHash = crypto.createHash('sha256').update(fileContents).digest('hex');
+    if (fileHash !== file.fileHash) {
+        throw new PackagingError(`Application file changed since it was collected: ${file.filePath}`);
+    }
+
+    return fileContents;
+};
+
+/**
+ * Uploads the files as a single gzipped tar archive. Each file is stored
+ * in the archive under its file hash.
+ */
+const uploadArchive = async (api, applicationId, files, signal) => {
+    let entries = [];
+    for (let file of files) {
+        entries.push({
+            name: file.fileHash,
+            contents: await getFileContents(file)
+        });
+    }
+
+    let archive = createTarArchive(entries);
+
+    let compressedArchive = await gzip(archive);
+
+    api.trace(`Uploading archive of ${files.length} files (${compressedArchive.length} bytes).`);
+
+    await api.uploadArchive(applicationId, compressedArchive, signal);
+};
+
+const uploadFile = async (api, applicationId, file, signal) => {
+    let uploadFilePayload = new UploadFilePayload(file, await getFileContents(file), applicationId);
+
+    await api.uploadFile(uploadFilePayload, signal);
+};
+
+// Endpoints without a route answer with a bare "Not Found", while a missing application is described in the body.
+const isRouteNotFoundError = (err) => err instanceof NotFoundError
+    && /^(404\s*)?(not found\.?)?$/i.test(String(err.body || "").trim());
+
+const isArchiveUnsupportedError = (err) => err instanceof ApiError
+    && (ARCHIVE_UNSUPPORTED_STATUS_CODES.includes(err.statusCode) || isRouteNotFoundError(err));
+
+/**
+ * Uploads the application files that the API reported as requiring upload.
+ *
+ * <p>
+ * The files are uploaded in gzipped tar archives. If the endpoint does not
+ * accept archives, each file is uploaded in its own request instead. A file
+ * that fails to upload does not stop the other files from being uploaded.
+ * </p>
+ *
+ * @param {Api} api
+ * @param {string} applicationId
+ * @param {ApplicationContextFile[]} files The files to upload.
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal]
+ * @param {number} [options.concurrency] The maximum number of upload requests made at once.
+ * @param {function} [options.onProgress] Called with a progress object after each file is uploaded.
+ *
+ * @throws {UploadError} If any of the files failed to upload.
+ * @throws {NotFoundError} If the application was not found.
+ */
+const uploadApplicationFiles = async (api, applicationId, files, options={}) => {
+    const {signal, onProgress} = options;
+    const concurrency = options.concurrency || DEFAULT_UPLOAD_CONCURRENCY;
+
+    if (files.length === 0) {
+        return;
+    }
+
+    throwIfAborted(signal);
+
+    let progress = {
+        filesDone: 0,
+        filesTotal: files.length,
+        bytesDone: 0,
+        bytesTotal: files.reduce((total, f) => total + f.fileByteCount, 0),
+        currentFile: null
+    };
+
+    let failures = [];
+
+    // Uploads a group of files with one request, recording a failure for each file if it fails.
+    const uploadTask = async (taskFiles, upload) => {
+        throwIfAborted(signal);
+
+        try {
+            await upload();
+        } catch (err) {
+            if (isAbortError(err)) {
+                throw err;
+            }
+
+            api.trace(`Error uploading ${taskFiles.length} application files.`);
+            api.trace(err, console.error);
+
+            for (let file of taskFiles) {
+                failures.push({filePath: file.filePathRelativeToAppContext, error: err});
+            }
+
+            return;
+        }
+
+        for (let file of taskFiles) {
+            progress.filesDone += 1;
+            progress.bytesDone += file.fileByteCount;
+            progress.currentFile = file.filePathRelativeToAppContext;
+
+            if (onProgress) {
+                onProgress(Object.assign({}, progress));
+            }
+        }
+    };
+
+    let remainingFiles = files;
+
+    if (api.supportsArchiveUpload) {
+        let [firstBatch, ...otherBatches] = batchFiles(files, ARCHIVE_BATCH_BYTES);
+
+        // The first batch is uploaded alone to find out whether the endpoint accepts archives.
+        let firstBatchError = null;
+        await uploadTask(firstBatch, async () => {
+            try {
+                await uploadArchive(api, applicationId, firstBatch, signal);
+            } catch (err) {
+                firstBatchError = err;
+                throw err;
+            }
+        });
+
+        if (isArchiveUnsupportedError(firstBatchError)) {
+            api.trace(`Archive upload is not supported by the endpoint (${firstBatchError.statusCode}), uploading files individually.`);
+
+            api.supportsArchiveUpload = false;
+            failures = [];
+        }
+        else if (firstBatchError instanceof NotFoundError) {
+            // The application does not exist, so no other upload can succeed either.
+            throw firstBatchError;
+        }
+        else {
+            await mapWithConcurrency(otherBatches, concurrency,
+                (batch) => uploadTask(batch, () => uploadArchive(api, applicationId, batch, signal)));
+
+            remainingFiles = [];
+        }
+    }
+
+    await mapWithConcurrency(remainingFiles, concurrency,
+        (file) => uploadTask([file], () => uploadFile(api, applicationId, file, signal)));
+
+    if (failures.length > 0) {
+        let firstError = failures[0].error;
+        let failedPaths = failures.slice(0, 10).map(f => f.filePath).join(", ");
+        if (failures.length > 10) {
+            failedPaths += ` and ${failures.length - 10} more`;
+        }
+
+        throw new UploadError(`Failed to upload ${failures.length} of ${files.length} application files: ${failedPaths}. Error: ${firstError.message}`, {
+            statusCode: firstError.statusCode,
+            body: firstError.body,
+            url: firstError.url,
+            headers: firstError.headers,
+            code: firstError.code,
+            cause: firstError,
+            failures: failures
+        });
+    }
+};
+
+module.exports = {uploadApplicationFiles};
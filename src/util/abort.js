@@ -0,0 +1,100 @@
+// A part of the AegisBlade Node.js Client Library
+// Copyright (C) 2019 Thornbury Organization, Bryan Thornbury
+// This file may be used under the terms of the GNU Lesser General Public License, version 2.1.
+// For more details see: https://www.gnu.org/licenses/lgpl-2.1.html
+
+/**
+ * Helpers for supporting an AbortSignal. Any object with an `aborted` property
+ * and `addEventListener`/`removeEventListener` methods is accepted, so that
+ * versions of node without a global AbortController may use a polyfill.
+ *
+ * @module abort
+ * @private
+ */
+
+const EventEmitter = require('events');
+const {AbortError} = require('../errors');
+
+/**
+ * Creates the error thrown when an operation is aborted.
+ *
+ * @returns {AbortError}
+ */
+const createAbortError = () => new AbortError();
+
+/**
+ * Throws an AbortError if the signal has been aborted.
+ *
+ * @param {AbortSignal} [signal]
+ */
+const throwIfAborted = (signal) => {
+    if (signal && signal.aborted) {
+        throw createAbortError();
+    }
+};
+
+/**
+ * Waits for a number of milliseconds, rejecting early with an
+ * AbortError if the signal is aborted.
+ *
+ * @param {number} ms
+ * @param {AbortSignal} [signal]
+ */
+const abortableTimeout = (ms, signal) => new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+        return reject(createAbortError());
+    }
+
+    let onAbort = () => {
+        signal.removeEventListener('abort', onAbort);
+        clearTimeout(timer);
+        reject(createAbortError());
+    };
+
+    let timer = setTimeout(() => {
+        if (signal) signal.removeEventListener('abort', onAbort);
+        resolve();
+    }, ms);
+
+    if (signal) signal.addEventListener('abort', onAbort);
+});
+
+/**
+ * Creates an AbortController, or a minimal equivalent on versions of
+ * node without a global AbortController.
+ *
+ * @returns {Object} An object with a `signal` property and an `abort()` method.
+ */
+const createAbortController = () => {
+    if (typeof(AbortController) !== 'undefined') {
+        return new AbortController();
+    }
+
+    let emitter = new EventEmitter();
+    let signal = {
+        aborted: false,
+        addEventListener: (event, listener) => emitter.on(event, listener),
+        removeEventListener: (event, listener) => emitter.removeListener(event, listener)
+    };
+
+    return {
+        signal: signal,
+        abort: () => {
+            if (signal.aborted)
+                return;
+
+            signal.aborted = true;
+            emitter.emit('abort');
+        }
+    };
+};
+
+/**
+ * Returns whether an error was caused by aborting an operation.
+ *
+ * @param {Error} err
+ * @returns {boolean}
+ */
+const isAbortError = (err) => !!err && err.name === "AbortError";
+
+module.exports = {createAbortError, throwIfAborted, abortableTimeout, createAbortController, isAbortError};
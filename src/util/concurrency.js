@@ -0,0 +1,91 @@
+// A part of the AegisBlade Node.js Client Library
+// Copyright (C) 2019 Thornbury Organization, Bryan Thornbury
+// This file may be used under the terms of the GNU Lesser General Public License, version 2.1.
+// For more details see: https://www.gnu.org/licenses/lgpl-2.1.html
+
+/**
+ * @module concurrency
+ * @private
+ */
+
+/**
+ * Calls an async function for each item with at most `concurrency` calls
+ * running at once, and resolves to the results in input order.
+ *
+ * <p>
+ * Rejects with the first error thrown, after the calls already running have settled.
+ * No new calls are started once an error has been thrown.
+ * </p>
+ *
+ * @param {Array} items
+ * @param {number} concurrency The maximum number of calls running at once.
+ * @param {function} fn Async function called with (item, index).
+ * @returns {Promise<Array>} The results in input order.
+ */
+const mapWithConcurrency = async (items, concurrency, fn) => {
+    let results = new Array(items.length);
+    let nextIndex = 0;
+    let firstError = null;
+
+    const worker = async () => {
+        while (nextIndex < items.length && !firstError) {
+            let index = nextIndex++;
+
+            try {
+                results[index] = await fn(items[index], index);
+            }
+            catch (err) {
+                firstError = firstError || err;
+            }
+        }
+    };
+
+    let workerCount = Math.max(1, Math.min(concurrency || 1, items.length));
+    let workers = [];
+    for (let i = 0; i < workerCount; ++i) {
+        workers.push(worker());
+    }
+
+    await Promise.all(workers);
+
+    if (firstError) {
+        throw firstError;
+    }
+
+    return results;
+};
+
+/**
+ * Creates a function that calls async functions with at most `concurrency` calls
+ * running at once. Calls beyond the limit wait, in order, for a running call to settle.
+ *
+ * @param {number} concurrency The maximum number of calls running at once.
+ * @returns {function} Called with an async function, and resolves or rejects as the function does.
+ */
+const createLimiter = (concurrency) => {
+    let running = 0;
+    let queue = [];
+
+    const next = () => {
+        if (running >= concurrency || queue.length === 0)
+            return;
+
+        let {fn, resolve, reject} = queue.shift();
+        running += 1;
+
+        Promise.resolve()
+            .then(fn)
+            .then(resolve, reject)
+            .then(() => {
+                running -= 1;
+                next();
+            });
+    };
+
+    return (fn) => new Promise((resolve, reject) => {
+        queue.push({fn, resolve, reject});
+        next();
+    });
+};
+
+module.exports = {mapWithConcurrency, createLimiter};
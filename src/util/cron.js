@@ -0,0 +1,129 @@
+// A part of the AegisBlade Node.js Client Library
+// Copyright (C) 2019 Thornbury Organization, Bryan Thornbury
+// This file may be used under the terms of the GNU Lesser General Public License, version 2.1.
+// For more details see: https://www.gnu.org/licenses/lgpl-2.1.html
+
+/**
+ * @module cron
+ * @private
+ */
+
+const {AegisBladeError} = require('../errors');
+
+const MONTH_NAMES = ["JAN", "FEB", "MAR", "APR", "MAY", "JUN", "JUL", "AUG", "SEP", "OCT", "NOV", "DEC"];
+const DAY_NAMES = ["SUN", "MON", "TUE", "WED", "THU", "FRI", "SAT"];
+
+const MACROS = ["@yearly", "@annually", "@monthly", "@weekly", "@daily", "@midnight", "@hourly"];
+
+const FIELDS = [
+    {name: "minute", min: 0, max: 59},
+    {name: "hour", min: 0, max: 23},
+    {name: "day of month", min: 1, max: 31},
+    {name: "month", min: 1, max: 12, names: MONTH_NAMES, nameOffset: 1},
+    {name: "day of week", min: 0, max: 7, names: DAY_NAMES, nameOffset: 0}
+];
+
+/**
+ * Parses a single value of a crontab field, accepting names where the field allows them.
+ *
+ * @returns {number} The numeric value, or NaN if it is not valid.
+ */
+const parseFieldValue = (value, field) => {
+    if (field.names) {
+        let nameIndex = field.names.indexOf(value.toUpperCase());
+        if (nameIndex !== -1) {
+            return nameIndex + field.nameOffset;
+        }
+    }
+
+    if (!/^\d+$/.test(value)) {
+        return NaN;
+    }
+
+    return parseInt(value, 10);
+};
+
+/**
+ * Returns a description of the problem with a crontab field, or null if it is valid.
+ */
+const validateField = (fieldText, field) => {
+    for (let part of fieldText.split(",")) {
+        let [range, step, ...extra] = part.split("/");
+
+        if (extra.length > 0 || range === "") {
+            return `invalid ${field.name} field '${fieldText}'`;
+        }
+
+        if (step !== undefined && !(/^\d+$/.test(step) && parseInt(step, 10) > 0)) {
+            return `invalid step '${step}' in ${field.name} field`;
+        }
+
+        if (range === "*") {
+            continue;
+        }
+
+        let bounds = range.split("-");
+        if (bounds.length > 2) {
+            return `invalid range '${range}' in ${field.name} field`;
+        }
+
+        let values = bounds.map(b => parseFieldValue(b, field));
+        for (let i = 0; i < values.length; ++i) {
+            if (isNaN(values[i]) || values[i] < field.min || values[i] > field.max) {
+                return `value '${bounds[i]}' out of range for ${field.name} field (${field.min}-${field.max})`;
+            }
+        }
+
+        if (values.length === 2 && values[0] > values[1]) {
+            return `invalid range '${range}' in ${field.name} field`;
+        }
+    }
+
+    return null;
+};
+
+/**
+ * Validates a crontab expression.
+ *
+ * <p>
+ * Accepts the standard five field format (minute, hour, day of month, month and
+ * day of week) with lists, ranges, steps and month/day names, as well as the
+ * macros @yearly, @annually, @monthly, @weekly, @daily, @midnight and @hourly.
+ * </p>
+ *
+ * @param {string} crontab The crontab expression to validate.
+ * @returns {string} The normalized crontab expression.
+ *
+ * @throws {AegisBladeError} If the crontab expression is not valid.
+ */
+const validateCrontab = (crontab) => {
+    if (typeof(crontab) !== 'string') {
+        throw new AegisBladeError("Invalid Argument Type: Expected string type crontab.");
+    }
+
+    let normalized = crontab.trim().replace(/\s+/g, " ");
+
+    if (normalized.startsWith("@")) {
+        if (!MACROS.includes(normalized.toLowerCase())) {
+            throw new AegisBladeError(`Invalid crontab expression '${crontab}': unknown macro.`);
+        }
+
+        return normalized.toLowerCase();
+    }
+
+    let fieldTexts = normalized.split(" ");
+    if (fieldTexts.length !== FIELDS.length) {
+        throw new AegisBladeError(`Invalid crontab expression '${crontab}': expected ${FIELDS.length} fields but found ${fieldTexts.length}.`);
+    }
+
+    for (let i = 0; i < FIELDS.length; ++i) {
+        let problem = validateField(fieldTexts[i], FIELDS[i]);
+        if (problem) {
+            throw new AegisBladeError(`Invalid crontab expression '${crontab}': ${problem}.`);
+        }
+    }
+
+    return normalized;
+};
+
+module.exports = {validateCrontab};
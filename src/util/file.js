@@ -71,6 +71,18 @@ const createTempFile = async () => {
     })
 };
 
+/**
+ * Removes a file created by createTempFile() and its temporary directory. Errors are ignored.
+ * 
+ * @param {string} filePath The path to the temporary file.
+ */
+const removeTempFile = (filePath) =>
+    new Promise((res) => {
+        fs.unlink(filePath, () => {
+            fs.rmdir(path.dirname(filePath), () => res());
+        });
+    });
+
 /**
  * Synchronously creates all non-existent directories in a given path.
  * 
@@ -88,4 +100,46 @@ const mkdirp = (pathToCreate) => {
         }, '');
 };
 
-module.exports = {readFile, writeFile, createTempFile};
\ No newline at end of file
+/**
+ * Computes the sha256 hash of a file's contents without reading it all into memory.
+ * 
+ * @param {string} filePath 
+ * @returns {Promise<string>} The hex encoded hash.
+ */
+const hashFile = (filePath) =>
+    new Promise((res, rej) => {
+        let hash = crypto.createHash('sha256');
+
+        fs.createReadStream(filePath)
+            .on('error', rej)
+            .on('data', chunk => hash.update(chunk))
+            .on('end', () => res(hash.digest('hex')));
+    });
+
+/**
+ * Lists the files under a directory, recursively.
+ * 
+ * @param {string} dir 
+ * @returns {string[]} The paths of the files, relative to dir.
+ */
+const listFilesRecursive = (dir) => {
+    let results = [];
+
+    for (let name of fs.readdirSync(dir).sort()) {
+        let filePath = path.join(dir, name);
+        let stats = fs.statSync(filePath);
+
+        if (stats.isDirectory()) {
+            for (let childPath of listFilesRecursive(filePath)) {
+                results.push(path.join(name, childPath));
+            }
+        }
+        else if (stats.isFile()) {
+            results.push(name);
+        }
+    }
+
+    return results;
+};
+
+module.exports = {readFile, writeFile, createTempFile, removeTempFile, mkdirp, hashFile, listFilesRecursive};
\ No newline at end of file
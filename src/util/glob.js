@@ -0,0 +1,84 @@
+// A part of the AegisBlade Node.js Client Library
+// Copyright (C) 2019 Thornbury Organization, Bryan Thornbury
+// This file may be used under the terms of the GNU Lesser General Public License, version 2.1.
+// For more details see: https://www.gnu.org/licenses/lgpl-2.1.html
+
+/**
+ * @module glob
+ * @private
+ */
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+
+/**
+ * Converts a glob pattern to the source of a regular expression matching
+ * forward slash separated paths.
+ *
+ * <p>
+ * `*` matches anything but a slash, `?` matches a single character but a slash,
+ * `[abc]` and `[!abc]` match character classes, and a `**` path segment matches
+ * any number of directories. A backslash escapes the following character.
+ * </p>
+ *
+ * @param {string} glob
+ * @returns {string} The regular expression source, without anchors.
+ */
+const globToRegExpSource = (glob) => {
+    let source = "";
+
+    for (let i = 0; i < glob.length; ++i) {
+        let c = glob[i];
+
+        if (c === "*") {
+            let isSegment = glob[i + 1] === "*"
+                && (i === 0 || glob[i - 1] === "/")
+                && (i + 2 === glob.length || glob[i + 2] === "/");
+
+            if (!isSegment) {
+                source += "[^/]*";
+            }
+            else if (i + 2 === glob.length) {
+                source += ".*";
+                i += 1;
+            }
+            else {
+                source += "(?:.*/)?";
+                i += 2;
+            }
+        }
+        else if (c === "?") {
+            source += "[^/]";
+        }
+        else if (c === "[") {
+            let end = glob.indexOf("]", i + 2);
+            if (end === -1) {
+                source += "\\[";
+                continue;
+            }
+
+            let negated = glob[i + 1] === "!" || glob[i + 1] === "^";
+            let content = glob.substring(negated ? i + 2 : i + 1, end).replace(/\\/g, "\\\\");
+
+            source += negated ? `[^/${content}]` : `[${content}]`;
+            i = end;
+        }
+        else if (c === "\\" && i + 1 < glob.length) {
+            source += escapeRegExp(glob[++i]);
+        }
+        else {
+            source += escapeRegExp(c);
+        }
+    }
+
+    return source;
+};
+
+/**
+ * Converts a glob pattern to a regular expression matching whole forward slash separated paths.
+ *
+ * @param {string} glob
+ * @returns {RegExp}
+ */
+const globToRegExp = (glob) => new RegExp("^" + globToRegExpSource(glob) + "$");
+
+module.exports = {globToRegExpSource, globToRegExp};
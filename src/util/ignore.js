@@ -0,0 +1,153 @@
+// A part of the AegisBlade Node.js Client Library
+// Copyright (C) 2019 Thornbury Organization, Bryan Thornbury
+// This file may be used under the terms of the GNU Lesser General Public License, version 2.1.
+// For more details see: https://www.gnu.org/licenses/lgpl-2.1.html
+
+/**
+ * @module ignore
+ * @private
+ */
+
+const fs = require('fs');
+const path = require('path');
+const {globToRegExpSource} = require('./glob');
+
+const AEGIS_IGNORE_FILE = ".aegisignore";
+const GIT_IGNORE_FILE = ".gitignore";
+
+/**
+ * Parses a single line of an ignore file.
+ *
+ * @param {string} line
+ * @returns {Object} A rule with `regExp`, `negate` and `directoryOnly` properties,
+ *      or null for blank lines and comments.
+ */
+const parseIgnoreLine = (line) => {
+    // Trailing spaces are ignored unless escaped.
+    let pattern = line.replace(/(^|[^\\])\s+$/, "$1");
+
+    if (pattern === "" || pattern.startsWith("#")) {
+        return null;
+    }
+
+    let negate = false;
+    if (pattern.startsWith("!")) {
+        negate = true;
+        pattern = pattern.substring(1);
+    }
+    else if (pattern.startsWith("\\!") || pattern.startsWith("\\#")) {
+        pattern = pattern.substring(1);
+    }
+
+    let directoryOnly = false;
+    if (pattern.endsWith("/")) {
+        directoryOnly = true;
+        pattern = pattern.replace(/\/+$/, "");
+    }
+
+    // A pattern with a slash other than a trailing one is relative to the
+    // application's root, otherwise it matches at any depth.
+    let anchored = pattern.includes("/");
+    pattern = pattern.replace(/^\//, "");
+
+    if (pattern === "") {
+        return null;
+    }
+
+    let source = globToRegExpSource(pattern);
+
+    return {
+        regExp: new RegExp(anchored ? `^${source}$` : `^(?:.*/)?${source}$`),
+        negate: negate,
+        directoryOnly: directoryOnly
+    };
+};
+
+/**
+ * Creates a function that returns whether a path is ignored by a list of
+ * patterns with .gitignore semantics.
+ *
+ * <p>
+ * Later patterns take precedence, a leading "!" re-includes paths excluded by an
+ * earlier pattern, and a trailing "/" only matches directories. As with git, a path
+ * inside an ignored directory is ignored and cannot be re-included.
+ * </p>
+ *
+ * @param {string[]} patterns
+ * @returns {function(string, boolean): boolean} Takes a path relative to the application's
+ *      root and whether it is a directory.
+ */
+const createIgnoreMatcher = (patterns) => {
+    let rules = patterns.map(parseIgnoreLine).filter(rule => rule !== null);
+
+    const matches = (relPath, isDirectory) => {
+        let ignored = false;
+
+        for (let rule of rules) {
+            if (rule.directoryOnly && !isDirectory)
+                continue;
+
+            if (ignored === rule.negate && rule.regExp.test(relPath)) {
+                ignored = !rule.negate;
+            }
+        }
+
+        return ignored;
+    };
+
+    return (relPath, isDirectory) => {
+        if (rules.length === 0)
+            return false;
+
+        let segments = relPath.split(path.sep).join("/").split("/");
+
+        for (let i = 1; i < segments.length; ++i) {
+            if (matches(segments.slice(0, i).join("/"), true)) {
+                return true;
+            }
+        }
+
+        return matches(segments.join("/"), isDirectory);
+    };
+};
+
+/**
+ * Reads the lines of an ignore file, or null if it does not exist.
+ *
+ * @param {string} filePath
+ * @returns {string[]}
+ */
+const readIgnoreFile = (filePath) => {
+    try {
+        return fs.readFileSync(filePath, 'utf8').split(/\r?\n/);
+    } catch (err) {
+        if (err.code === 'ENOENT') {
+            return null;
+        }
+
+        throw err;
+    }
+};
+
+/**
+ * Loads the ignore patterns of an application. The .aegisignore file in the
+ * application's root is used if it exists, otherwise the .gitignore file is used
+ * if `useGitignore` is set. Exclude patterns are applied after the file's patterns.
+ *
+ * @param {string} rootDir The application's root directory.
+ * @param {Object} [options]
+ * @param {string[]} [options.exclude] Additional patterns with .gitignore semantics.
+ * @param {boolean} [options.useGitignore] Whether to fall back to the .gitignore file.
+ * @returns {string[]}
+ */
+const loadIgnorePatterns = (rootDir, options={}) => {
+    let patterns = readIgnoreFile(path.join(rootDir, AEGIS_IGNORE_FILE));
+
+    if (patterns === null && options.useGitignore) {
+        patterns = readIgnoreFile(path.join(rootDir, GIT_IGNORE_FILE));
+    }
+
+    return (patterns || []).concat(options.exclude || []);
+};
+
+module.exports = {createIgnoreMatcher, loadIgnorePatterns};
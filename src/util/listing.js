@@ -0,0 +1,66 @@
+// A part of the AegisBlade Node.js Client Library
+// Copyright (C) 2019 Thornbury Organization, Bryan Thornbury
+// This file may be used under the terms of the GNU Lesser General Public License, version 2.1.
+// For more details see: https://www.gnu.org/licenses/lgpl-2.1.html
+
+/**
+ * @module listing
+ * @private
+ */
+
+const DEFAULT_LIST_LIMIT = 1000;
+
+/**
+ * Selects a page of a data store listing.
+ *
+ * <p>
+ * Entries are filtered by prefix and sorted by path. With a delimiter, entries whose path
+ * continues past the prefix with the delimiter are grouped into a common prefix ending
+ * with the delimiter. Entries and prefixes are paged together in path order, and the
+ * cursor is the last path or prefix of the previous page.
+ * </p>
+ *
+ * @param {Object[]} entries Objects with a `path` property.
+ * @param {Object} [options]
+ * @param {string} [options.prefix]
+ * @param {string} [options.delimiter]
+ * @param {number} [options.limit] (default=1000) The maximum number of entries and prefixes in the page.
+ * @param {string} [options.cursor] The `nextCursor` of the previous page.
+ * @returns {Object} With `entries`, `prefixes` and `nextCursor` (null on the last page) properties.
+ */
+const listPage = (entries, options={}) => {
+    const prefix = options.prefix || "";
+    const delimiter = options.delimiter || null;
+    const limit = options.limit || DEFAULT_LIST_LIMIT;
+    const cursor = options.cursor || null;
+
+    // Keyed by path or common prefix, so each common prefix is listed once.
+    let items = {};
+    for (let entry of entries) {
+        if (!entry.path.startsWith(prefix))
+            continue;
+
+        let delimiterIndex = delimiter ? entry.path.indexOf(delimiter, prefix.length) : -1;
+        if (delimiterIndex === -1) {
+            items[entry.path] = entry;
+        }
+        else {
+            let commonPrefix = entry.path.substring(0, delimiterIndex + delimiter.length);
+            items[commonPrefix] = null;
+        }
+    }
+
+    let keys = Object.keys(items)
+        .filter(key => cursor === null || key > cursor)
+        .sort();
+
+    let pageKeys = keys.slice(0, limit);
+
+    return {
+        entries: pageKeys.filter(key => items[key] !== null).map(key => items[key]),
+        prefixes: pageKeys.filter(key => items[key] === null),
+        nextCursor: keys.length > limit ? pageKeys[pageKeys.length - 1] : null
+    };
+};
+
+module.exports = {listPage, DEFAULT_LIST_LIMIT};
@@ -0,0 +1,111 @@
+// A part of the AegisBlade Node.js Client Library
+// Copyright (C) 2019 Thornbury Organization, Bryan Thornbury
+// This file may be used under the terms of the GNU Lesser General Public License, version 2.1.
+// For more details see: https://www.gnu.org/licenses/lgpl-2.1.html
+
+/**
+ * @module remoteError
+ * @private
+ */
+
+const RESERVED_PROPERTIES = ["name", "message", "stack"];
+
+// Matches the location of a stack frame, e.g. "/srv/app/src/worker.js:10:5".
+const FRAME_LOCATION = /((?:file:\/\/)?[^\s()]+):(\d+):(\d+)/g;
+
+/**
+ * Captures an error thrown by a job's target function as a record that can be
+ * written as the job's return value. Custom properties that cannot be encoded
+ * with the serializer are left out.
+ *
+ * @param {*} err The thrown value.
+ * @param {Object} serializer The serializer used to encode the error's custom properties.
+ * @returns {Object} A record with an `error` property with `name`, `message`, `stack`
+ *      and `properties` properties.
+ */
+const captureError = (err, serializer) => {
+    if (!(err instanceof Error)) {
+        return {
+            error: {name: typeof(err), message: String(err), stack: null, properties: {}}
+        };
+    }
+
+    let properties = {};
+    for (let key of Object.keys(err)) {
+        if (RESERVED_PROPERTIES.includes(key))
+            continue;
+
+        try {
+            properties[key] = serializer.encode(err[key]);
+        } catch (encodeErr) {
+            // Dropped, the rest of the error is still useful.
+        }
+    }
+
+    return {
+        error: {
+            name: err.name,
+            message: err.message,
+            stack: err.stack || null,
+            properties: properties
+        }
+    };
+};
+
+/**
+ * Returns the error captured by [captureError()]{@link module:remoteError~captureError}
+ * from a job's return value text, or null if the text is not an error record.
+ *
+ * @param {string} text
+ * @returns {Object}
+ */
+const parseErrorRecord = (text) => {
+    let record;
+    try {
+        record = JSON.parse(text);
+    } catch (err) {
+        return null;
+    }
+
+    if (!record || typeof(record.error) !== 'object' || record.error === null
+        || typeof(record.error.message) !== 'string') {
+        return null;
+    }
+
+    return record.error;
+};
+
+/**
+ * Replaces the file paths of a remote stack trace with the matching relative
+ * file paths of the application.
+ *
+ * <p>
+ * A remote path matches the relative path it ends with. Paths with no match,
+ * such as those of node internals, are left unchanged.
+ * </p>
+ *
+ * @param {string} stack The remote stack trace.
+ * @param {string[]} relativeFilePaths The application's file paths relative to the application context.
+ * @returns {string} The mapped stack trace.
+ */
+const mapStackTrace = (stack, relativeFilePaths) => {
+    if (!stack || !relativeFilePaths || relativeFilePaths.length === 0)
+        return stack;
+
+    // Longest first so "lib/util.js" is preferred over "util.js".
+    let relativePaths = relativeFilePaths
+        .map(p => p.replace(/\\/g, "/").replace(/^\.\//, ""))
+        .sort((a, b) => b.length - a.length);
+
+    return stack.replace(FRAME_LOCATION, (location, filePath, line, column) => {
+        let remotePath = filePath.replace(/^file:\/\//, "").replace(/\\/g, "/");
+
+        let relativePath = relativePaths.find(p => remotePath === p || remotePath.endsWith("/" + p));
+        if (!relativePath)
+            return location;
+
+        return `${relativePath}:${line}:${column}`;
+    });
+};
+
+module.exports = {captureError, parseErrorRecord, mapStackTrace};
@@ -0,0 +1,129 @@
+// A part of the AegisBlade Node.js Client Library
+// Copyright (C) 2019 Thornbury Organization, Bryan Thornbury
+// This file may be used under the terms of the GNU Lesser General Public License, version 2.1.
+// For more details see: https://www.gnu.org/licenses/lgpl-2.1.html
+
+/**
+ * @module retry
+ * @private
+ */
+
+/**
+ * The retry policy used when none is configured.
+ *
+ * <ul>
+ *  <li>retries - Number of times a failed request is retried. 0 disables retries.</li>
+ *  <li>minDelay - Delay in milliseconds before the first retry.</li>
+ *  <li>maxDelay - Maximum delay in milliseconds between retries.</li>
+ *  <li>factor - The delay is multiplied by this factor after each retry.</li>
+ *  <li>jitter - Whether to randomize each delay between 0 and the computed delay.</li>
+ * </ul>
+ */
+const DEFAULT_RETRY_POLICY = {
+    retries: 3,
+    minDelay: 500,
+    maxDelay: 10000,
+    factor: 2,
+    jitter: true
+};
+
+// Network errors after which the request may or may not have been processed.
+const RETRYABLE_NETWORK_ERRORS = ["ECONNRESET", "ETIMEDOUT", "EPIPE", "ESOCKETTIMEDOUT"];
+
+// Network errors that guarantee the request was never processed.
+const UNSENT_NETWORK_ERRORS = ["ECONNREFUSED", "ENOTFOUND", "EAI_AGAIN", "EHOSTUNREACH", "ENETUNREACH"];
+
+const RETRYABLE_STATUS_CODES = [408, 429, 500, 502, 503, 504];
+
+// Status codes the API returns before processing a request.
+const UNPROCESSED_STATUS_CODES = [429, 503];
+
+/**
+ * Returns a complete retry policy from a partial one.
+ *
+ * @param {Object} [policy]
+ * @returns {Object}
+ */
+const createRetryPolicy = (policy) => {
+    return Object.assign({}, DEFAULT_RETRY_POLICY, policy || {});
+};
+
+/**
+ * Returns whether a failed request may be retried.
+ *
+ * <p>
+ * Idempotent requests are retried after any network error or a retryable status code.
+ * Other requests are only retried when the request was certainly not processed.
+ * </p>
+ *
+ * @param {Error} err The error the request failed with.
+ * @param {boolean} idempotent Whether the request is safe to repeat.
+ * @returns {boolean}
+ */
+const isRetryable = (err, idempotent) => {
+    if (!err)
+        return false;
+
+    if (err.statusCode) {
+        return idempotent
+            ? RETRYABLE_STATUS_CODES.includes(err.statusCode)
+            : UNPROCESSED_STATUS_CODES.includes(err.statusCode);
+    }
+
+    if (UNSENT_NETWORK_ERRORS.includes(err.code)) {
+        return true;
+    }
+
+    if (!idempotent) {
+        return false;
+    }
+
+    return RETRYABLE_NETWORK_ERRORS.includes(err.code)
+        || (err.message || "").includes("socket hang up");
+};
+
+/**
+ * Parses a Retry-After header value.
+ *
+ * @param {string} [retryAfter] Either a number of seconds or an HTTP date.
+ * @returns {number} The delay in milliseconds, or null if there is no valid value.
+ */
+const parseRetryAfter = (retryAfter) => {
+    if (!retryAfter)
+        return null;
+
+    if (/^\d+$/.test(retryAfter.trim())) {
+        return parseInt(retryAfter, 10) * 1000;
+    }
+
+    let date = Date.parse(retryAfter);
+    if (isNaN(date))
+        return null;
+
+    return Math.max(0, date - Date.now());
+};
+
+/**
+ * Computes the delay before a retry.
+ *
+ * @param {Object} policy
+ * @param {number} attempt The number of the retry, starting from 0.
+ * @param {Error} [err] The error the request failed with. Its Retry-After header is used if present.
+ * @returns {number} The delay in milliseconds.
+ */
+const retryDelay = (policy, attempt, err) => {
+    let retryAfter = parseRetryAfter(err && err.headers && err.headers["retry-after"]);
+    if (retryAfter !== null) {
+        return retryAfter;
+    }
+
+    let delay = Math.min(policy.maxDelay, policy.minDelay * Math.pow(policy.factor, attempt));
+
+    if (policy.jitter) {
+        delay = Math.random() * delay;
+    }
+
+    return Math.round(delay);
+};
+
+module.exports = {DEFAULT_RETRY_POLICY, createRetryPolicy, isRetryable, retryDelay};
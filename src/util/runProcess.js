@@ -4,7 +4,7 @@
 // For more details see: https://www.gnu.org/licenses/lgpl-2.1.html
 
 const spawn = require('child_process');
-const {trace} = require('../trace');
+const {trace: defaultTrace} = require('../trace');
 
 
 function TrackablePromise(promise) {
@@ -36,7 +36,8 @@ function TrackablePromise(promise) {
     return result;
 }
 
-const runInProcess = (exec, args, cwd, env, print=false) => {
+// Traces with the given trace function, such as a client's (see createTrace), or the default one.
+const runInProcess = (exec, args, cwd, env, print=false, trace=defaultTrace) => {
     args = args || [];
     cwd = cwd || process.cwd();
 
@@ -69,7 +70,7 @@ const runInProcess = (exec, args, cwd, env, print=false) => {
        child.on('close', (code) => res(code));
 
        child.on('error', (err) => {
-          console.error(err);
+          trace(err, console.error);
           rej(err);
         });
     });
@@ -0,0 +1,141 @@
+// A part of the AegisBlade Node.js Client Library
+// Copyright (C) 2019 Thornbury Organization, Bryan Thornbury
+// This file may be used under the terms of the GNU Lesser General Public License, version 2.1.
+// For more details see: https://www.gnu.org/licenses/lgpl-2.1.html
+
+/**
+ * Minimal reader and writer for ustar archives of regular files.
+ *
+ * @module tar
+ * @private
+ */
+
+const BLOCK_SIZE = 512;
+
+const writeString = (header, value, offset, length) => {
+    header.write(value, offset, Math.min(Buffer.byteLength(value), length), 'utf8');
+};
+
+const writeOctal = (header, value, offset, length) => {
+    writeString(header, value.toString(8).padStart(length - 1, "0") + "\0", offset, length);
+};
+
+const readString = (header, offset, length) => {
+    let value = header.toString('utf8', offset, offset + length);
+    let end = value.indexOf("\0");
+
+    return end === -1 ? value : value.substring(0, end);
+};
+
+const readOctal = (header, offset, length) => parseInt(readString(header, offset, length).trim() || "0", 8);
+
+/**
+ * Splits a path into the ustar name and prefix fields.
+ */
+const splitName = (name) => {
+    if (Buffer.byteLength(name) <= 100) {
+        return {name: name, prefix: ""};
+    }
+
+    for (let i = name.indexOf("/"); i !== -1; i = name.indexOf("/", i + 1)) {
+        let prefix = name.substring(0, i);
+        let rest = name.substring(i + 1);
+
+        if (Buffer.byteLength(prefix) <= 155 && Buffer.byteLength(rest) <= 100) {
+            return {name: rest, prefix: prefix};
+        }
+    }
+
+    throw new Error(`Path is too long for a tar archive: ${name}`);
+};
+
+const createHeader = (entry) => {
+    let header = Buffer.alloc(BLOCK_SIZE);
+    let {name, prefix} = splitName(entry.name);
+
+    writeString(header, name, 0, 100);
+    writeOctal(header, entry.mode || 0o644, 100, 8);
+    writeOctal(header, 0, 108, 8);
+    writeOctal(header, 0, 116, 8);
+    writeOctal(header, entry.contents.length, 124, 12);
+    writeOctal(header, Math.floor((entry.mtime || 0) / 1000), 136, 12);
+    header.write("0", 156);
+    writeString(header, "ustar\0", 257, 6);
+    writeString(header, "00", 263, 2);
+    writeString(header, prefix, 345, 155);
+
+    // The checksum is computed with the checksum field filled with spaces.
+    header.fill(" ", 148, 156);
+
+    let checksum = 0;
+    for (let i = 0; i < BLOCK_SIZE; ++i) {
+        checksum += header[i];
+    }
+
+    writeString(header, checksum.toString(8).padStart(6, "0") + "\0 ", 148, 8);
+
+    return header;
+};
+
+/**
+ * Creates a tar archive of regular files.
+ *
+ * @param {Object[]} entries Objects with `name` (a forward slash separated path), `contents`
+ *      (a Buffer) and optional `mode` and `mtime` (in milliseconds) properties.
+ * @returns {Buffer}
+ */
+const createTarArchive = (entries) => {
+    let blocks = [];
+
+    for (let entry of entries) {
+        blocks.push(createHeader(entry));
+        blocks.push(entry.contents);
+
+        let padding = (BLOCK_SIZE - (entry.contents.length % BLOCK_SIZE)) % BLOCK_SIZE;
+        if (padding > 0) {
+            blocks.push(Buffer.alloc(padding));
+        }
+    }
+
+    blocks.push(Buffer.alloc(BLOCK_SIZE * 2));
+
+    return Buffer.concat(blocks);
+};
+
+/**
+ * Reads the regular files of a tar archive.
+ *
+ * @param {Buffer} archive
+ * @returns {Object[]} Objects with `name` and `contents` properties.
+ */
+const readTarArchive = (archive) => {
+    let entries = [];
+    let offset = 0;
+
+    while (offset + BLOCK_SIZE <= archive.length) {
+        let header = archive.slice(offset, offset + BLOCK_SIZE);
+        if (header.every(b => b === 0)) {
+            break;
+        }
+
+        let name = readString(header, 0, 100);
+        let prefix = readString(header, 345, 155);
+        let size = readOctal(header, 124, 12);
+        let type = String.fromCharCode(header[156]);
+
+        offset += BLOCK_SIZE;
+
+        if (type === "0" || type === "\0") {
+            entries.push({
+                name: prefix ? `${prefix}/${name}` : name,
+                contents: archive.slice(offset, offset + size)
+            });
+        }
+
+        offset += Math.ceil(size / BLOCK_SIZE) * BLOCK_SIZE;
+    }
+
+    return entries;
+};
+
+module.exports = {createTarArchive, readTarArchive};
@@ -0,0 +1,1322 @@
+// A part of the AegisBlade Node.js Client Library
+// Copyright (C) 2019 Thornbury Organization, Bryan Thornbury
+// This file may be used under the terms of the GNU Lesser General Public License, version 2.1.
+// For more details see: https://www.gnu.org/licenses/lgpl-2.1.html
+
+/*
+ * Tests the client against the mock API server. Run with `npm test`.
+ *
+ * The target functions are exported from this file, so that local driver jobs
+ * can require it; the tests themselves only run when it is the main module.
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const crypto = require('crypto');
+const childProcess = require('child_process');
+
+if (require.main === module) {
+    process.env.AEGISBLADE_CACHE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'aegisblade-test-cache-'));
+}
+
+const {aegisblade, createClient, Serializer, errors} = require('./src/main');
+const {MockApiServer} = require('./testing');
+const {mkdirp} = require('./src/util/file');
+const {createTarArchive, readTarArchive} = require('./src/util/tar');
+const {createAbortController} = require('./src/util/abort');
+
+const API_KEY = "test-api-key";
+
+const add = (a, b) => a + b;
+const echo = (...values) => values;
+
+const logAndAdd = (a, b) => {
+    console.log(`Adding ${a} and ${b}.`);
+    return a + b;
+};
+
+const logAndFail = (message) => {
+    console.error(`Failing with ${message}`);
+    throw new RangeError(message);
+};
+
+class Point {
+    constructor(x, y) {
+        this.x = x;
+        this.y = y;
+    }
+}
+
+const pointCodec = {
+    name: "Point",
+    type: Point,
+    encode: (point) => [point.x, point.y],
+    decode: ([x, y]) => new Point(x, y)
+};
+
+// Registered for the processes of local jobs, which decode with the shared client's codecs.
+aegisblade.registerCodec(pointCodec);
+
+const movePoint = (point) => new Point(point.x + 1, point.y + 1);
+
+const tests = [];
+const test = (name, fn) => tests.push({name, fn});
+
+/*
+ * Starts a mock server with the given options and passes it, and a client pointed
+ * at it, to fn. The server is stopped once fn settles.
+ */
+const withServer = async (options, fn) => {
+    let server = new MockApiServer(Object.assign({
+        apiKey: API_KEY,
+        jobStatusSequence: ["finished"],
+        buildStatusSequence: ["built"]
+    }, options));
+
+    let endpoint = await server.start();
+    let client = createClient({apiKey: API_KEY, endpoint: endpoint});
+
+    try {
+        return await fn(server, client);
+    }
+    finally {
+        await server.stop();
+    }
+};
+
+/*
+ * Makes a request to the mock server without the client, resolving to the status code and body.
+ */
+const request = (endpoint, method, requestPath) => new Promise((resolve, reject) => {
+    let req = http.request(endpoint + requestPath, {method: method}, (res) => {
+        let chunks = [];
+        res.on('data', chunk => chunks.push(chunk));
+        res.on('end', () => resolve({statusCode: res.statusCode, body: Buffer.concat(chunks).toString('utf8')}));
+        res.on('error', reject);
+    });
+
+    req.on('error', reject);
+    req.end();
+});
+
+/*
+ * Makes the next count requests for a route fail with the status code.
+ */
+const failRequests = (server, routeName, statusCode, count) => {
+    let route = server.routes.find(r => r[2] === routeName);
+    let handler = route[3];
+
+    route[3] = function () {
+        return count-- > 0 ? [statusCode, "Failed by test."] : handler.apply(this, arguments);
+    };
+};
+
+const removeDirectory = (dir) => {
+    for (let name of fs.readdirSync(dir)) {
+        let filePath = path.join(dir, name);
+        fs.lstatSync(filePath).isDirectory() ? removeDirectory(filePath) : fs.unlinkSync(filePath);
+    }
+
+    fs.rmdirSync(dir);
+};
+
+/*
+ * Writes files, given as contents keyed by relative path, to a temporary directory 
+ * and passes the directory to fn with it as the working directory.
+ */
+const withProject = async (files, fn) => {
+    let projectDir = fs.mkdtempSync(path.join(os.tmpdir(), 'aegisblade-test-project-'));
+    let cwd = process.cwd();
+
+    try {
+        for (let relativePath of Object.keys(files)) {
+            let filePath = path.join(projectDir, relativePath);
+            mkdirp(path.dirname(filePath));
+            fs.writeFileSync(filePath, files[relativePath]);
+        }
+
+        process.chdir(projectDir);
+        return await fn(projectDir);
+    }
+    finally {
+        process.chdir(cwd);
+        removeDirectory(projectDir);
+    }
+};
+
+/*
+ * Returns the files of an application that are inside the working directory, sorted.
+ */
+const projectFiles = (filePaths) => filePaths
+    .filter(f => !path.isAbsolute(f) && !f.startsWith(".."))
+    .sort();
+
+const rejects = async (promise, errorClass) => {
+    try {
+        await promise;
+    }
+    catch (err) {
+        assert.ok(err instanceof errorClass, `Expected a ${errorClass.name}, got ${err.stack}`);
+        return err;
+    }
+
+    assert.fail(`Expected a ${errorClass.name}, but nothing was thrown.`);
+};
+
+test("rejects requests with a bad api key", () => withServer({}, async (server) => {
+    let client = createClient({apiKey: "wrong", endpoint: server.endpoint});
+
+    await rejects(client.data("results").create("s3"), errors.AuthenticationError);
+    assert.deepStrictEqual(Object.keys(server.dataStores), []);
+}));
+
+test("responds 404 to unknown routes", () => withServer({}, async (server) => {
+    let response = await request(server.endpoint, "GET", "/api/v1/unknown");
+
+    assert.strictEqual(response.statusCode, 404);
+    assert.strictEqual(server.requests.length, 1);
+    assert.strictEqual(server.requests[0].route, null);
+}));
+
+test("runs a job and returns its value", () => withServer({}, async (server, client) => {
+    server.onJobCreated = (job) => server.setJobReturnValue(job.jobId, add.apply(null, job.args));
+
+    let job = await client.run(add, [2, 3]);
+
+    assert.strictEqual(await job.getReturnValue(), 5);
+    assert.deepStrictEqual(server.getJob(job.id).args, [2, 3]);
+    assert.strictEqual(server.getJob(job.id).entrypoint.functionName, "add");
+    assert.strictEqual(server.getRequests("application/create").length, 1);
+    assert.strictEqual(server.getRequests("job/create").length, 1);
+    assert.strictEqual(server.getRequests("job/returnvalue").length, 1);
+}));
+
+test("throws the error of a failed job", () => withServer({}, async (server, client) => {
+    server.onJobCreated = (job) => server.setJobError(job.jobId, new RangeError("Out of range."));
+
+    let job = await client.run(add, [1, 2]);
+
+    let err = await rejects(job.getReturnValue(), errors.RemoteJobError);
+    assert.strictEqual(err.remoteName, "RangeError");
+    assert.strictEqual(err.remoteMessage, "Out of range.");
+}));
+
+test("uploads the files of an application", () => withServer({}, async (server, client) => {
+    let application = await client.buildApplication();
+    let applicationFiles = server.applications[application.id].payload.applicationExecutionContext.files;
+
+    assert.ok(applicationFiles.some(f => f.filePathRelativeToAppContext === "test.js"));
+    assert.deepStrictEqual(Object.keys(server.files).sort(), applicationFiles.map(f => f.fileHash).sort());
+    assert.strictEqual(server.getRequests("application/upload/archive").length, 1);
+    assert.strictEqual(server.getRequests("application/upload").length, 0);
+
+    await client.buildApplication();
+    assert.strictEqual(server.getRequests("application/upload/archive").length, 1);
+}));
+
+test("uploads application files one at a time without archive uploads", () => withServer({
+    archiveUploads: false
+}, async (server, client) => {
+    let application = await client.buildApplication();
+    let applicationFiles = server.applications[application.id].payload.applicationExecutionContext.files;
+
+    assert.strictEqual(server.getRequests("application/upload").length, applicationFiles.length);
+    assert.deepStrictEqual(Object.keys(server.files).sort(), applicationFiles.map(f => f.fileHash).sort());
+}));
+
+test("waits for the application build", () => withServer({
+    buildStatusSequence: ["building", "building", "built"]
+}, async (server, client) => {
+    let application = await client.buildApplication();
+    let statusResult = await application.waitForBuild();
+
+    assert.strictEqual(statusResult.buildStatus, "built");
+    assert.strictEqual(server.getRequests("application/status").length, 3);
+}));
+
+test("reports the status and logs of a job", () => withServer({
+    jobStatusSequence: ["queued", "running"]
+}, async (server, client) => {
+    let job = await client.run(add, [1, 2]);
+    server.setJobLogs(job.id, "Adding 1 and 2.\n");
+
+    assert.strictEqual((await job.getStatus()).jobStatus, "queued");
+    assert.strictEqual((await job.getStatus()).jobStatus, "running");
+    assert.strictEqual(await job.getLogs(), "Adding 1 and 2.\n");
+
+    let existingJob = await client.job(job.id);
+    assert.strictEqual(existingJob.id, job.id);
+
+    await rejects(client.job("missing"), errors.NotFoundError);
+}));
+
+test("cancels a job", () => withServer({
+    jobStatusSequence: ["running"]
+}, async (server, client) => {
+    let job = await client.run(add, [1, 2]);
+    await job.cancel();
+
+    assert.strictEqual(server.getRequests("job/cancel").length, 1);
+    assert.strictEqual((await job.getStatus()).jobStatus, "canceled");
+    await rejects(job.getReturnValue(), errors.JobFailedError);
+}));
+
+test("manages scheduled jobs", () => withServer({}, async (server, client) => {
+    let scheduledJob = await client.schedule(add, [1, 2], "0 * * * *");
+
+    assert.strictEqual(server.scheduledJobs[scheduledJob.id].scheduledJobCrontab, "0 * * * *");
+    assert.strictEqual((await scheduledJob.getStatus()).scheduledJobStatus, "active");
+
+    await scheduledJob.pause();
+    assert.strictEqual((await scheduledJob.getStatus()).scheduledJobStatus, "paused");
+    await scheduledJob.resume();
+    assert.strictEqual((await scheduledJob.getStatus()).scheduledJobStatus, "active");
+
+    let triggeredJob = server.triggerScheduledJob(scheduledJob.id);
+    let jobs = await scheduledJob.listJobs();
+    assert.deepStrictEqual(jobs.map(j => j.id), [triggeredJob.jobId]);
+    assert.deepStrictEqual(triggeredJob.args, [1, 2]);
+
+    let scheduledJobs = await client.listScheduledJobs();
+    assert.deepStrictEqual(scheduledJobs.map(s => s.id), [scheduledJob.id]);
+    assert.strictEqual((await client.scheduledJob(scheduledJob.id)).id, scheduledJob.id);
+
+    await scheduledJob.delete();
+    assert.deepStrictEqual(await client.listScheduledJobs(), []);
+}));
+
+for (let redirectToStorage of [true, false]) {
+    test(`stores data store files ${redirectToStorage ? "with" : "without"} redirects to storage`, () => withServer({
+        redirectToStorage: redirectToStorage
+    }, async (server, client) => {
+        let dataStore = await client.data("results").create("s3", {region: "us-east-1"});
+        assert.deepStrictEqual(server.dataStores.results.payload.driverOptions, {region: "us-east-1"});
+
+        await dataStore.uploadData("Hello World", "greetings/hello.txt", {contentType: "text/plain"});
+        assert.strictEqual(server.dataStores.results.files["greetings/hello.txt"].toString("utf8"), "Hello World");
+        assert.strictEqual(server.getRequests("storage/upload").length, redirectToStorage ? 1 : 0);
+
+        assert.strictEqual(await dataStore.download("greetings/hello.txt"), "Hello World");
+        assert.strictEqual(server.getRequests("storage/download").length, redirectToStorage ? 1 : 0);
+
+        let entry = await dataStore.stat("greetings/hello.txt");
+        assert.strictEqual(entry.size, 11);
+        assert.strictEqual(entry.contentType, "text/plain");
+        assert.ok(entry.lastModified instanceof Date);
+        assert.strictEqual(await dataStore.stat("greetings/missing.txt"), null);
+
+        let page = await dataStore.list();
+        assert.deepStrictEqual(page.entries.map(e => e.path), ["greetings/hello.txt"]);
+
+        await dataStore.delete("greetings/hello.txt");
+        assert.deepStrictEqual(Object.keys(server.dataStores.results.files), []);
+
+        await dataStore.deleteStore();
+        assert.deepStrictEqual(Object.keys(server.dataStores), []);
+    }));
+}
+
+test("runs a job on the local host driver", () => withServer({}, async (server, client) => {
+    let job = await client.run(add, [2, 3], {host: {driver: "local"}});
+
+    assert.strictEqual(await job.getReturnValue(), 5);
+    assert.strictEqual((await job.getStatus()).jobStatus, "finished");
+    assert.deepStrictEqual(server.requests, []);
+}));
+
+test("keeps the logs of local jobs after their result is read", async () => {
+    let client = createClient();
+
+    let job = await client.run(logAndAdd, [2, 3], {host: {driver: "local"}});
+    assert.strictEqual(await job.getReturnValue(), 5);
+    assert.strictEqual(await job.getLogs(), "Adding 2 and 3.\n");
+    assert.strictEqual(await (await client.job(job.id)).getLogs(), "Adding 2 and 3.\n");
+
+    let failedJob = await client.run(logAndFail, ["Out of range."], {host: {driver: "local"}});
+    await rejects(failedJob.getReturnValue(), errors.RemoteJobError);
+    assert.ok((await failedJob.getLogs()).startsWith("Failing with Out of range.\nRangeError: Out of range."));
+    assert.strictEqual((await (await client.job(failedJob.id)).getStatus()).jobStatus, "error");
+});
+
+test("rejects invalid crontab expressions before uploading", () => withServer({}, async (server, client) => {
+    await rejects(client.schedule(add, [1, 2], "0 25 * * *"), errors.AegisBladeError);
+    await rejects(client.schedule(add, [1, 2], "0 * * *"), errors.AegisBladeError);
+    await rejects(client.schedule(add, [1, 2], "@fortnightly"), errors.AegisBladeError);
+    assert.deepStrictEqual(server.requests, []);
+
+    let scheduledJob = await client.schedule(add, [1, 2], "@daily");
+    assert.strictEqual(server.scheduledJobs[scheduledJob.id].scheduledJobCrontab, "@daily");
+}));
+
+test("maps over argument sets with one application build", () => withServer({}, async (server, client) => {
+    server.onJobCreated = (job) => server.setJobReturnValue(job.jobId, add.apply(null, job.args));
+
+    let jobGroup = await client.map(add, [[1, 2], [3, 4], [5, 6]], null, {concurrency: 2});
+
+    assert.deepStrictEqual(await jobGroup.results(), [3, 7, 11]);
+    assert.strictEqual(server.getRequests("application/create").length, 1);
+    assert.strictEqual(server.getRequests("job/create").length, 3);
+}));
+
+test("maps over argument sets on the local host driver", () => withServer({}, async (server, client) => {
+    let jobGroup = await client.map(add, [[1, 2], [3, 4], [5, 6]], {host: {driver: "local"}}, {concurrency: 1});
+
+    assert.deepStrictEqual(await jobGroup.results(), [3, 7, 11]);
+    assert.deepStrictEqual(server.requests, []);
+}));
+
+test("retries idempotent requests that failed", () => withServer({}, async (server, client) => {
+    client.setRetryPolicy({retries: 2, minDelay: 10, jitter: false});
+
+    let job = await client.run(add, [1, 2]);
+
+    failRequests(server, "job/status", 503, 2);
+    assert.strictEqual((await job.getStatus()).jobStatus, "finished");
+    assert.strictEqual(server.getRequests("job/status").length, 3);
+
+    failRequests(server, "job/status", 502, 3);
+    let err = await rejects(job.getStatus(), errors.ApiError);
+    assert.strictEqual(err.statusCode, 502);
+    assert.strictEqual(server.getRequests("job/status").length, 6);
+}));
+
+test("does not retry requests that may have been processed", () => withServer({}, async (server, client) => {
+    client.setRetryPolicy({retries: 2, minDelay: 10, jitter: false});
+
+    failRequests(server, "job/create", 500, 1);
+    let err = await rejects(client.run(add, [1, 2]), errors.ApiError);
+    assert.strictEqual(err.statusCode, 500);
+    assert.strictEqual(server.getRequests("job/create").length, 1);
+
+    failRequests(server, "job/create", 503, 1);
+    await client.run(add, [1, 2]);
+    assert.strictEqual(server.getRequests("job/create").length, 3);
+}));
+
+test("sends plain JSON to remote jobs by default", () => withServer({}, async (server, client) => {
+    server.onJobCreated = (job) => server.setJobReturnValue(job.jobId, job.args);
+
+    let job = await client.run(echo, [1, "two", {three: [3]}]);
+
+    assert.strictEqual(server.getJob(job.id).entrypoint.serializer, undefined);
+    assert.deepStrictEqual(server.getJob(job.id).entrypoint.functionArguments, [1, "two", {three: [3]}]);
+    assert.deepStrictEqual(await job.getReturnValue(), [1, "two", {three: [3]}]);
+}));
+
+test("serializes rich types once a serializer is set", () => withServer({}, async (server, client) => {
+    server.onJobCreated = (job) => server.setJobReturnValue(job.jobId, job.args);
+    client.setSerializer(new Serializer({name: "test"}));
+
+    let job = await client.run(echo, [new Date(1000), Buffer.from("Hello"), new Map([["a", 1]]), undefined]);
+
+    assert.strictEqual(server.getJob(job.id).entrypoint.serializer, "test");
+
+    let [date, buffer, map, missing] = await job.getReturnValue();
+    assert.ok(date instanceof Date && date.getTime() === 1000);
+    assert.ok(Buffer.isBuffer(buffer) && buffer.toString("utf8") === "Hello");
+    assert.ok(map instanceof Map && map.get("a") === 1);
+    assert.strictEqual(missing, undefined);
+}));
+
+test("serializes rich types for local jobs by default", async () => {
+    let client = createClient();
+    let job = await client.run(echo, [new Date(1000), Buffer.from("Hello")], {host: {driver: "local"}});
+
+    let [date, buffer] = await job.getReturnValue();
+    assert.ok(date instanceof Date && date.getTime() === 1000);
+    assert.ok(Buffer.isBuffer(buffer) && buffer.toString("utf8") === "Hello");
+});
+
+test("leaves ignored files out of the application", () => withProject({
+    ".aegisignore": "# Not shipped\nsecret/\n*.log\n!keep.log\n",
+    ".gitignore": "lib/\n",
+    "index.js": "",
+    "lib/util.js": "",
+    "secret/key.js": "",
+    "build/out.js": "",
+    "debug.log": "",
+    "keep.log": ""
+}, async () => {
+    let client = createClient();
+
+    let files = await client.getUploadFiles({includeExtensions: [".log"], exclude: ["build/"]});
+    assert.deepStrictEqual(projectFiles(files), ["index.js", "keep.log", "lib/util.js"]);
+
+    fs.unlinkSync(".aegisignore");
+    files = await client.getUploadFiles({useGitignore: true});
+    assert.deepStrictEqual(projectFiles(files), ["build/out.js", "index.js", "secret/key.js"]);
+}));
+
+test("includes extra files matched by glob patterns", () => withProject({
+    "index.js": "",
+    "assets/a.json": "",
+    "assets/nested/b.json": "",
+    "assets/skip.json": "",
+    "assets/readme.txt": "",
+    "data/c.csv": ""
+}, async () => {
+    let client = createClient();
+
+    let files = await client.getUploadFiles({extraFiles: ["assets/**/*.json", "!assets/skip.json", "data"]});
+    assert.deepStrictEqual(projectFiles(files), ["assets/a.json", "assets/nested/b.json", "data/c.csv", "index.js"]);
+
+    await rejects(client.getUploadFiles({extraFiles: ["assets/*.png"]}), errors.PackagingError);
+    await rejects(client.getUploadFiles({extraFiles: ["missing.txt"]}), errors.PackagingError);
+}));
+
+test("reads back the tar archives it creates", () => {
+    let longName = "a/".repeat(60) + "long.txt";
+    let entries = [
+        {name: "hello.txt", contents: Buffer.from("Hello World")},
+        {name: longName, contents: Buffer.alloc(1500, 7)},
+        {name: "empty.txt", contents: Buffer.alloc(0)}
+    ];
+
+    let readEntries = readTarArchive(createTarArchive(entries));
+
+    assert.deepStrictEqual(readEntries.map(e => e.name), ["hello.txt", longName, "empty.txt"]);
+    readEntries.forEach((entry, i) => assert.ok(entry.contents.equals(entries[i].contents)));
+});
+
+test("uploads files individually once archives are not supported", () => withServer({
+    archiveUploads: false
+}, (server, client) => withProject({"index.js": ""}, async () => {
+    await client.buildApplication();
+
+    assert.strictEqual(server.getRequests("application/upload/archive").length, 1);
+    let uploadCount = server.getRequests("application/upload").length;
+
+    fs.writeFileSync("added.js", "module.exports = {};");
+    await client.buildApplication();
+
+    assert.strictEqual(server.getRequests("application/upload/archive").length, 1);
+    assert.strictEqual(server.getRequests("application/upload").length, uploadCount + 1);
+    assert.strictEqual(server.getRequests("application/upload")[uploadCount].body.applicationContextFile.filePathRelativeToAppContext, "added.js");
+})));
+
+test("reports the progress of application uploads", () => withServer({
+    archiveUploads: false
+}, (server, client) => withProject({"a.js": "a", "b.js": "bb", "c.js": "ccc"}, async () => {
+    let events = [];
+    await client.buildApplication(null, {uploadConcurrency: 2, onUploadProgress: (progress) => events.push(progress)});
+
+    assert.deepStrictEqual(events.map(e => e.filesDone), [1, 2, 3]);
+    assert.strictEqual(events[2].filesTotal, 3);
+    assert.strictEqual(events[2].bytesDone, 6);
+    assert.strictEqual(events[2].bytesTotal, 6);
+    assert.deepStrictEqual(events.map(e => e.currentFile).sort(), ["a.js", "b.js", "c.js"]);
+})));
+
+test("uploads the other files when some fail", () => withServer({
+    archiveUploads: false
+}, (server, client) => withProject({"a.js": "a", "b.js": "bb", "c.js": "ccc"}, async () => {
+    failRequests(server, "application/upload", 400, 1);
+
+    let err = await rejects(client.buildApplication(), errors.UploadError);
+    assert.strictEqual(err.failures.length, 1);
+    assert.strictEqual(Object.keys(server.files).length, 2);
+})));
+
+test("syncs a directory with a data store", () => withServer({}, (server, client) => withProject({
+    "output/a.txt": "a",
+    "output/nested/b.txt": "b"
+}, async () => {
+    let dataStore = await client.data("results").create("s3");
+    await dataStore.uploadData("stale", "runs/1/stale.txt");
+
+    let report = await dataStore.sync("output", "runs/1", {dryRun: true});
+    assert.deepStrictEqual(report, {transferred: ["a.txt", "nested/b.txt"], unchanged: [], deleted: [], dryRun: true});
+    assert.deepStrictEqual(Object.keys(server.dataStores.results.files), ["runs/1/stale.txt"]);
+
+    report = await dataStore.sync("output", "runs/1");
+    assert.deepStrictEqual(report.transferred, ["a.txt", "nested/b.txt"]);
+    assert.strictEqual(server.dataStores.results.files["runs/1/nested/b.txt"].toString("utf8"), "b");
+
+    fs.writeFileSync("output/a.txt", "changed");
+    report = await dataStore.sync("output", "runs/1", {delete: true});
+    assert.deepStrictEqual(report, {transferred: ["a.txt"], unchanged: ["nested/b.txt"], deleted: ["stale.txt"], dryRun: false});
+    assert.deepStrictEqual(Object.keys(server.dataStores.results.files).sort(), ["runs/1/a.txt", "runs/1/nested/b.txt"]);
+
+    fs.writeFileSync("output/extra.txt", "");
+    report = await dataStore.sync("output", "runs/1", {direction: "download", delete: true});
+    assert.deepStrictEqual(report, {transferred: [], unchanged: ["a.txt", "nested/b.txt"], deleted: ["extra.txt"], dryRun: false});
+    assert.strictEqual(fs.existsSync("output/extra.txt"), false);
+
+    report = await dataStore.sync("copy", "runs/1", {direction: "download"});
+    assert.deepStrictEqual(report.transferred, ["a.txt", "nested/b.txt"]);
+    assert.strictEqual(fs.readFileSync("copy/nested/b.txt", "utf8"), "b");
+})));
+
+test("lists data store files by prefix and page", () => withServer({}, async (server, client) => {
+    let dataStore = await client.data("results").create("s3");
+    for (let dataStorePath of ["b.txt", "a.txt", "logs/1.txt", "logs/2.txt", "runs/1/out.txt", "runs/2/out.txt"]) {
+        await dataStore.uploadData(dataStorePath, dataStorePath);
+    }
+
+    let page = await dataStore.list({delimiter: "/"});
+    assert.deepStrictEqual(page.entries.map(e => e.path), ["a.txt", "b.txt"]);
+    assert.deepStrictEqual(page.prefixes, ["logs/", "runs/"]);
+    assert.strictEqual(page.nextCursor, null);
+    assert.strictEqual(page.entries[0].size, 5);
+    assert.strictEqual(page.entries[0].hash, crypto.createHash("sha256").update("a.txt").digest("hex"));
+
+    page = await dataStore.list({prefix: "runs/", delimiter: "/"});
+    assert.deepStrictEqual(page.prefixes, ["runs/1/", "runs/2/"]);
+
+    page = await dataStore.list({limit: 4});
+    assert.deepStrictEqual(page.entries.map(e => e.path), ["a.txt", "b.txt", "logs/1.txt", "logs/2.txt"]);
+    page = await dataStore.list({limit: 4, cursor: page.nextCursor});
+    assert.deepStrictEqual(page.entries.map(e => e.path), ["runs/1/out.txt", "runs/2/out.txt"]);
+    assert.strictEqual(page.nextCursor, null);
+
+    let paths = [];
+    let iterator = dataStore.iterate({prefix: "logs/", pageSize: 1});
+    for (let result = await iterator.next(); !result.done; result = await iterator.next()) {
+        paths.push(result.value.path);
+    }
+    assert.deepStrictEqual(paths, ["logs/1.txt", "logs/2.txt"]);
+    assert.deepStrictEqual(await dataStore.listFiles(), ["a.txt", "b.txt", "logs/1.txt", "logs/2.txt", "runs/1/out.txt", "runs/2/out.txt"]);
+}));
+
+test("stats files from the listing when the stat route is missing", () => withServer({}, async (server, client) => {
+    let dataStore = await client.data("results").create("s3");
+    await dataStore.uploadData("Hello", "hello.txt");
+    await dataStore.uploadData("Hello World", "hello.txt.bak");
+
+    failRequests(server, "data/store/file/stat", 404, Infinity);
+
+    assert.strictEqual((await dataStore.stat("hello.txt")).size, 5);
+    assert.strictEqual(await dataStore.exists("hello"), false);
+    assert.strictEqual(await dataStore.stat("missing.txt"), null);
+    assert.strictEqual(server.getRequests("data/store/file/stat").length, 1);
+}));
+
+test("validates scheduled job arguments with the serializer that encodes them", () => withServer({}, async (server, client) => {
+    let args = [new Date(1000), () => 1];
+
+    let scheduledJob = await client.schedule(echo, args, "@daily");
+    let applicationScheduledJob = await (await client.buildApplication()).schedule(echo, args, "@daily");
+
+    const scheduledArgs = (id) => JSON.parse(server.scheduledJobs[id].payload.serializedJobEntrypoint).functionArguments;
+    assert.deepStrictEqual(scheduledArgs(scheduledJob.id), ["1970-01-01T00:00:01.000Z", null]);
+    assert.deepStrictEqual(scheduledArgs(applicationScheduledJob.id), ["1970-01-01T00:00:01.000Z", null]);
+}));
+
+test("does not start a job once the signal is aborted", () => withServer({}, async (server, client) => {
+    let controller = createAbortController();
+    controller.abort();
+
+    await rejects(client.run(add, [1, 2], null, {signal: controller.signal}), errors.AbortError);
+    assert.deepStrictEqual(server.requests, []);
+}));
+
+test("stops waiting for a job when the signal is aborted", () => withServer({
+    jobStatusSequence: ["running"]
+}, async (server, client) => {
+    let job = await client.run(add, [1, 2]);
+
+    let controller = createAbortController();
+    setTimeout(() => controller.abort(), 100);
+
+    await rejects(job.wait(null, {signal: controller.signal}), errors.AbortError);
+    assert.strictEqual(server.getRequests("job/cancel").length, 0);
+    assert.strictEqual(server.getJob(job.id).statusSequence[0], "running");
+
+    controller = createAbortController();
+    setTimeout(() => controller.abort(), 100);
+
+    await rejects(job.getReturnValue(null, {signal: controller.signal, cancelOnAbort: true}), errors.AbortError);
+    assert.strictEqual(server.getRequests("job/cancel").length, 1);
+    assert.strictEqual(server.getJob(job.id).statusSequence[0], "canceled");
+}));
+
+test("rejects with the AbortError when canceling an aborted job fails", () => withServer({
+    jobStatusSequence: ["running"]
+}, async (server, client) => {
+    let controller = createAbortController();
+    server.onJobCreated = () => controller.abort();
+    failRequests(server, "job/cancel", 400, 1);
+
+    await rejects(client.run(add, [1, 2], null, {signal: controller.signal, cancelOnAbort: true}), errors.AbortError);
+    assert.strictEqual(server.getRequests("job/cancel").length, 1);
+}));
+
+test("stops retrying a request when the signal is aborted", () => withServer({}, async (server, client) => {
+    let job = await client.run(add, [1, 2]);
+
+    client.setRetryPolicy({retries: 5, minDelay: 60000, jitter: false});
+    failRequests(server, "job/status", 503, Infinity);
+
+    let controller = createAbortController();
+    setTimeout(() => controller.abort(), 100);
+
+    await rejects(job.wait(null, {signal: controller.signal}), errors.AbortError);
+    assert.strictEqual(server.getRequests("job/status").length, 1);
+}));
+
+test("times out waiting after the expiration in seconds", () => withServer({
+    jobStatusSequence: ["running"],
+    buildStatusSequence: ["building"]
+}, async (server, client) => {
+    let job = await client.run(add, [1, 2]);
+
+    let startTime = Date.now();
+    await rejects(job.getReturnValue(1), errors.TimeoutError);
+    assert.ok(Date.now() - startTime >= 1000);
+    assert.ok(server.getRequests("job/status").length >= 2);
+
+    let application = await client.buildApplication();
+
+    startTime = Date.now();
+    await rejects(application.waitForBuild(1), errors.TimeoutError);
+    assert.ok(Date.now() - startTime >= 1000);
+}));
+
+test("sends the memory of the job config and its overrides", () => withServer({}, async (server, client) => {
+    let job = await client.run(add, [1, 2], {memory: 2048});
+    assert.strictEqual(server.getJob(job.id).payload.memoryMb, 2048);
+
+    let application = await client.buildApplication({memory: 1024});
+    let defaultJob = await application.run(add, [1, 2]);
+    let overriddenJob = await application.run(add, [1, 2], {memory: 4096});
+    assert.strictEqual(server.getJob(defaultJob.id).payload.memoryMb, 1024);
+    assert.strictEqual(server.getJob(overriddenJob.id).payload.memoryMb, 4096);
+}));
+
+test("streams new log output until the job completes", () => withServer({
+    jobStatusSequence: ["running"]
+}, async (server, client) => {
+    let job = await client.run(add, [1, 2]);
+    server.appendJobLogs(job.id, "café 1\n");
+    server.appendJobLogs(job.id, "warning 1\n", "stderr");
+
+    let chunks = [];
+    let stream = job.streamLogs({interval: 50});
+
+    await new Promise((resolve, reject) => {
+        stream.on("data", (chunk) => {
+            chunks.push(chunk);
+
+            // Output is added after earlier output was delivered, and once more as the job finishes.
+            if (chunks.length === 2) {
+                setTimeout(() => server.appendJobLogs(job.id, "line 2\n"), 120);
+            }
+            else if (chunks.length === 3) {
+                server.appendJobLogs(job.id, "last line\n");
+                server.appendJobLogs(job.id, "warning 2\n", "stderr");
+                server.setJobStatus(job.id, "finished");
+            }
+        });
+        stream.on("end", resolve);
+        stream.on("error", reject);
+    });
+
+    assert.deepStrictEqual(chunks, [
+        {stream: "stdout", data: "café 1\n", offset: 0},
+        {stream: "stderr", data: "warning 1\n", offset: 0},
+        {stream: "stdout", data: "line 2\n", offset: 8},
+        {stream: "stdout", data: "last line\n", offset: 15},
+        {stream: "stderr", data: "warning 2\n", offset: 10}
+    ]);
+    assert.ok(server.getRequests("job/status").length >= 3);
+}));
+
+test("emits status events in order while polling", () => withServer({
+    jobStatusSequence: ["queued", "queued", "running", "finished"]
+}, async (server, client) => {
+    let job = await client.run(add, [1, 2]);
+
+    let events = [];
+    await new Promise((resolve) => {
+        job.on("status", (statusResult) => events.push(`status:${statusResult.jobStatus}`));
+        job.on("running", () => events.push("running"));
+        job.on("finished", () => {
+            events.push("finished");
+            resolve();
+        });
+    });
+
+    assert.deepStrictEqual(events, ["status:queued", "status:running", "running", "status:finished", "finished"]);
+    job.removeAllListeners();
+}));
+
+test("emits the error of a failed job", () => withServer({}, async (server, client) => {
+    server.onJobCreated = (job) => server
+        .setJobError(job.jobId, new RangeError("Out of range."))
+        .scriptJob(job.jobId, ["running", "error"]);
+
+    let job = await client.run(add, [1, 2]);
+
+    let statuses = [];
+    job.on("status", (statusResult) => statuses.push(statusResult.jobStatus));
+    let err = await new Promise((resolve) => job.on("error", resolve));
+
+    assert.ok(err instanceof errors.RemoteJobError);
+    assert.strictEqual(err.remoteMessage, "Out of range.");
+    assert.deepStrictEqual(statuses, ["running", "error"]);
+    job.removeAllListeners();
+}));
+
+test("stops polling once the event listeners are removed", () => withServer({
+    jobStatusSequence: ["running"]
+}, async (server, client) => {
+    let job = await client.run(add, [1, 2]);
+
+    const onStatus = () => {};
+    await new Promise((resolve) => {
+        job.on("status", onStatus);
+        job.once("running", resolve);
+    });
+    job.removeListener("status", onStatus);
+
+    let statusRequestCount = server.getRequests("job/status").length;
+    await new Promise((resolve) => setTimeout(resolve, 1600));
+
+    assert.strictEqual(server.getRequests("job/status").length, statusRequestCount);
+}));
+
+test("throws AegisBladeErrors for invalid arguments", () => withServer({}, async (server, client) => {
+    let circular = {};
+    circular.self = circular;
+
+    await rejects(client.schedule(add, [1, 2], 5), errors.AegisBladeError);
+    await rejects(client.map(add, "not an array"), errors.AegisBladeError);
+    await rejects(client.run("not a function", [1, 2]), errors.AegisBladeError);
+    await rejects(client.run(echo, [circular]), errors.AegisBladeError);
+    assert.deepStrictEqual(server.requests, []);
+
+    assert.throws(() => new Serializer().registerCodec({name: "Point"}), errors.AegisBladeError);
+    assert.throws(() => client.setSerializer({name: "incomplete"}), errors.AegisBladeError);
+
+    client.setSerializer({name: "plain", encode: (value) => value, decode: (data) => data});
+    assert.throws(() => client.registerCodec({name: "Point", type: Object, encode: () => 0, decode: () => 0}), errors.AegisBladeError);
+}));
+
+test("maps the stack of a remote error to the application's files", () => withServer({}, (server, client) => withProject({
+    "index.js": "module.exports = {};",
+    "util.js": "module.exports = {util: 1};",
+    "lib/util.js": "module.exports = {util: 2};"
+}, async () => {
+    server.onJobCreated = (job) => {
+        let err = new TypeError("Not a number.");
+        err.code = "E_NAN";
+        err.stack = [
+            "TypeError: Not a number.",
+            "    at parse (/srv/app/lib/util.js:3:7)",
+            "    at run (/srv/app/util.js:1:1)",
+            "    at main (/srv/app/index.js:10:2)",
+            "    at process.processTicksAndRejections (node:internal/process/task_queues:95:5)"
+        ].join("\n");
+
+        server.setJobError(job.jobId, err);
+    };
+
+    let job = await client.run(add, [1, 2]);
+    let err = await rejects(job.getReturnValue(), errors.RemoteJobError);
+
+    assert.strictEqual(err.message, `Job (id: ${job.id}) failed with TypeError: Not a number.`);
+    assert.strictEqual(err.remoteName, "TypeError");
+    assert.deepStrictEqual(err.properties, {code: "E_NAN"});
+    assert.strictEqual(err.remoteStack, [
+        "TypeError: Not a number.",
+        "    at parse (lib/util.js:3:7)",
+        "    at run (util.js:1:1)",
+        "    at main (index.js:10:2)",
+        "    at process.processTicksAndRejections (node:internal/process/task_queues:95:5)"
+    ].join("\n"));
+})));
+
+test("reports a failed job without a captured error as a JobFailedError", () => withServer({
+    jobStatusSequence: ["error"]
+}, async (server, client) => {
+    let job = await client.run(add, [1, 2]);
+
+    let err = await rejects(job.getReturnValue(), errors.JobFailedError);
+    assert.ok(!(err instanceof errors.RemoteJobError));
+    assert.strictEqual(err.jobId, job.id);
+}));
+
+test("keeps uploading archives after a 404 for a missing application", () => withServer({}, (server, client) => withProject({"index.js": ""}, async () => {
+    failRequests(server, "application/upload/archive", 404, 1);
+
+    await rejects(client.buildApplication(), errors.NotFoundError);
+    assert.strictEqual(server.getRequests("application/upload").length, 0);
+
+    await client.buildApplication();
+    assert.strictEqual(server.getRequests("application/upload/archive").length, 2);
+    assert.strictEqual(server.getRequests("application/upload").length, 0);
+})));
+
+/*
+ * Creates a library directory for the libraries job config option, outside the working directory.
+ */
+const createLibrary = (name) => {
+    let libraryDir = fs.mkdtempSync(path.join(os.tmpdir(), 'aegisblade-test-library-'));
+    fs.writeFileSync(path.join(libraryDir, "package.json"), JSON.stringify({name: name, version: "1.0.0"}));
+    fs.writeFileSync(path.join(libraryDir, "index.js"), "module.exports = {};");
+
+    return libraryDir;
+};
+
+const readHashCacheManifest = () => JSON.parse(fs.readFileSync(path.join(process.env.AEGISBLADE_CACHE_DIR, "manifest.json"), "utf8"));
+
+const sha256 = (data) => crypto.createHash("sha256").update(data).digest("hex");
+
+test("caches the hashes of unchanged application files", () => withProject({"data.txt": "aaaa"}, async (projectDir) => {
+    let client = createClient();
+    const dataHash = async () => (await client.plan(add, [1, 2], {extraFiles: ["data.txt"]}))
+        .files.find(f => f.filePathRelativeToAppContext === "data.txt").fileHash;
+
+    // Files modified in the last moments are not cached, since a change could go unnoticed.
+    let oldTime = new Date(Date.now() - 60000);
+    fs.utimesSync("data.txt", oldTime, oldTime);
+
+    assert.strictEqual(await dataHash(), sha256("aaaa"));
+    assert.strictEqual(readHashCacheManifest().files[path.join(fs.realpathSync(projectDir), "data.txt")].hash, sha256("aaaa"));
+
+    // A change that keeps the size, modification time and inode is not noticed until the cache is cleared.
+    fs.writeFileSync("data.txt", "bbbb");
+    fs.utimesSync("data.txt", oldTime, oldTime);
+    assert.strictEqual(await dataHash(), sha256("aaaa"));
+
+    client.clearCache();
+    assert.strictEqual(await dataHash(), sha256("bbbb"));
+
+    fs.writeFileSync("data.txt", "ccccc");
+    assert.strictEqual(await dataHash(), sha256("ccccc"));
+}));
+
+test("reuses the packed archive of an unchanged library", () => withProject({"index.js": ""}, async () => {
+    let libraryDir = createLibrary("aegisblade-test-library");
+    let symlinkLibraryDir = createLibrary("aegisblade-test-symlink-library");
+    fs.symlinkSync(path.join(symlinkLibraryDir, "index.js"), path.join(symlinkLibraryDir, "linked.js"));
+
+    let client = createClient();
+    let pathEnv = process.env.PATH;
+
+    try {
+        await client.getUploadFiles({libraries: [libraryDir, symlinkLibraryDir]});
+
+        let libraries = readHashCacheManifest().libraries;
+        assert.ok(libraries[fs.realpathSync(libraryDir)] || libraries[libraryDir]);
+        assert.ok(!libraries[fs.realpathSync(symlinkLibraryDir)] && !libraries[symlinkLibraryDir]);
+
+        // Without npm on the path, the library can only be included from the cache.
+        process.env.PATH = "";
+        let files = await client.getUploadFiles({libraries: [libraryDir]});
+        assert.ok(files.some(f => f.startsWith(process.env.AEGISBLADE_CACHE_DIR) && f.endsWith(".tgz")));
+
+        await rejects(client.getUploadFiles({libraries: [symlinkLibraryDir]}), errors.PackagingError);
+    }
+    finally {
+        process.env.PATH = pathEnv;
+        removeDirectory(libraryDir);
+        removeDirectory(symlinkLibraryDir);
+    }
+}));
+
+test("plans a job without creating it", () => withServer({}, (server, client) => withProject({
+    "index.js": "",
+    "lib/helper.js": "module.exports = {};",
+    "data.csv": "1,2"
+}, async (projectDir) => {
+    let helperPath = path.join(fs.realpathSync(projectDir), "lib", "helper.js");
+    require(helperPath);
+
+    let plan = await client.plan(add, [1, 2], {extraFiles: ["data.csv"], host: {options: {instanceType: "t3.micro"}}});
+    delete require.cache[helperPath];
+
+    assert.deepStrictEqual(plan.entrypoint, {file: __filename, relFile: path.relative(process.cwd(), __filename), name: "add", serializer: "json"});
+    assert.strictEqual(plan.hostDefinition.driverOptions.instanceType, "t3.micro");
+
+    let dataFile = plan.files.find(f => f.filePathRelativeToAppContext === "data.csv");
+    assert.deepStrictEqual(dataFile, {
+        fileByteCount: 3,
+        fileHash: sha256("1,2"),
+        filePath: "data.csv",
+        filePathRelativeToAppContext: "data.csv",
+        includedBy: ["extraFiles"]
+    });
+    assert.deepStrictEqual(plan.files.find(f => f.filePath === "index.js").includedBy, ["cwd"]);
+    assert.deepStrictEqual(plan.files.find(f => f.filePath === "lib/helper.js").includedBy, ["require.cache", "cwd"]);
+
+    assert.strictEqual(plan.fileByteCount, plan.files.reduce((total, f) => total + f.fileByteCount, 0));
+    assert.ok(plan.payloadByteCount > plan.fileByteCount);
+
+    // The server has none of the files yet.
+    assert.strictEqual(plan.apiError, null);
+    assert.deepStrictEqual(plan.fileHashesRequiringUpload.slice().sort(), Array.from(new Set(plan.files.map(f => f.fileHash))).sort());
+    assert.strictEqual(plan.uploadByteCount, plan.fileByteCount);
+
+    assert.strictEqual(server.getRequests("application/create").length, 0);
+    assert.strictEqual(server.getRequests("job/create").length, 0);
+
+    await client.buildApplication({extraFiles: ["data.csv"]});
+    plan = await client.plan(add, [1, 2], {extraFiles: ["data.csv"]});
+    assert.deepStrictEqual(plan.fileHashesRequiringUpload, []);
+    assert.strictEqual(plan.uploadByteCount, 0);
+})));
+
+test("plans a job when the API cannot be reached", () => withProject({"index.js": ""}, async () => {
+    let client = createClient({apiKey: API_KEY, endpoint: "http://127.0.0.1:1"});
+
+    let plan = await client.plan(add, [1, 2]);
+    assert.ok(plan.apiError instanceof errors.ApiError);
+    assert.strictEqual(plan.fileHashesRequiringUpload, null);
+    assert.strictEqual(plan.uploadByteCount, null);
+    assert.ok(plan.files.some(f => f.filePath === "index.js"));
+
+    await rejects(client.plan(add, [1, 2], {host: {driver: "local"}}), errors.AegisBladeError);
+}));
+
+/*
+ * Runs the command-line interface against the mock server, resolving to its exit code and output.
+ */
+const runCli = (server, args) => new Promise((resolve, reject) => {
+    let env = Object.assign({}, process.env, {AEGISBLADE_API_KEY: API_KEY, AEGISBLADE_API_ENDPOINT: server.endpoint});
+
+    let child = childProcess.execFile(process.execPath, [path.join(__dirname, "src", "cli.js")].concat(args), {env: env, timeout: 30000},
+        (err, stdout, stderr) => err && typeof(err.code) !== 'number' ? reject(err) : resolve({exitCode: child.exitCode, stdout, stderr}));
+});
+
+test("prints the status of a job from the command line with one request", () => withServer({
+    jobStatusSequence: ["running"]
+}, async (server, client) => {
+    let job = await client.run(add, [1, 2]);
+    let statusRequestCount = server.getRequests("job/status").length;
+
+    let result = await runCli(server, ["status", job.id]);
+    assert.deepStrictEqual(result, {exitCode: 0, stdout: "running\n", stderr: ""});
+    assert.strictEqual(server.getRequests("job/status").length, statusRequestCount + 1);
+
+    result = await runCli(server, ["status", job.id, "--json"]);
+    assert.strictEqual(JSON.parse(result.stdout).jobStatus, "running");
+}));
+
+test("exits with codes for failed jobs, timeouts, usage and API errors", () => withServer({
+    jobStatusSequence: ["running"]
+}, async (server, client) => {
+    let runningJob = await client.run(add, [1, 2]);
+    let failedJob = await client.run(add, [1, 2]);
+    server.setJobStatus(failedJob.id, "error");
+
+    let result = await runCli(server, ["wait", failedJob.id]);
+    assert.strictEqual(result.exitCode, 3);
+    assert.strictEqual(result.stdout, "error\n");
+
+    let startTime = Date.now();
+    result = await runCli(server, ["wait", runningJob.id, "--timeout", "1"]);
+    assert.strictEqual(result.exitCode, 5);
+    assert.ok(Date.now() - startTime < 10000);
+
+    result = await runCli(server, ["result", runningJob.id, "--timeout=1", "--json"]);
+    assert.strictEqual(result.exitCode, 5);
+    assert.strictEqual(JSON.parse(result.stderr).error.name, "TimeoutError");
+
+    assert.strictEqual((await runCli(server, ["status", "missing-job"])).exitCode, 4);
+    assert.strictEqual((await runCli(server, ["wait", runningJob.id, "--timeout", "soon"])).exitCode, 2);
+    assert.strictEqual((await runCli(server, ["unknown"])).exitCode, 2);
+    assert.strictEqual((await runCli(server, ["status"])).exitCode, 2);
+    assert.strictEqual((await runCli(server, ["--help"])).exitCode, 0);
+}));
+
+/*
+ * Runs a script in a new node process, where the environment variables read when the package
+ * is required can be set, resolving to the JSON the script writes to stdout.
+ */
+const runScript = (script, cwd, envVariables) => new Promise((resolve, reject) => {
+    let env = Object.assign({}, process.env);
+    for (let name of Object.keys(env).filter(name => name.startsWith("AEGISBLADE_") && name !== "AEGISBLADE_CACHE_DIR")) {
+        delete env[name];
+    }
+
+    let code = `const aegisbladeMain = require(${JSON.stringify(path.join(__dirname, "src", "main"))});\n${script}`;
+
+    childProcess.execFile(process.execPath, ["-e", code], {cwd: cwd, env: Object.assign(env, envVariables), timeout: 30000},
+        (err, stdout, stderr) => {
+            try {
+                if (err) throw err;
+                resolve(JSON.parse(stdout));
+            } catch (parseErr) {
+                reject(new Error(`${parseErr.message}\n${stderr}`));
+            }
+        });
+});
+
+const PRINT_CLIENT_CONFIG = `
+    let client = aegisbladeMain.createClient(JSON.parse(process.argv[1] || "{}"));
+    let jobConfig = client.createJobConfig();
+    process.stdout.write(JSON.stringify({apiKey: client.apikey, endpoint: client.endpoint,
+        libraries: jobConfig.libraries, capabilities: jobConfig.capabilities, host: jobConfig.host}));
+`;
+
+test("configures clients from the project configuration file and its profiles", () => withProject({
+    ".aegisbladerc.json": JSON.stringify({
+        apiKey: "file-key",
+        endpoint: "https://file.example.com",
+        libraries: ["shared"],
+        capabilities: ["chrome"],
+        host: {options: {region: "us-east-1"}},
+        profile: "staging",
+        profiles: {
+            staging: {endpoint: "https://staging.example.com", host: {options: {instanceType: "t3.micro"}}},
+            prod: {apiKey: "prod-key", capabilities: ["ffmpeg"]}
+        }
+    }),
+    "app/index.js": ""
+}, async (projectDir) => {
+    let appDir = path.join(projectDir, "app");
+
+    // The file is found in an ancestor of the working directory, and its "profile" is applied.
+    let config = await runScript(PRINT_CLIENT_CONFIG, appDir, {});
+    assert.strictEqual(config.apiKey, "file-key");
+    assert.strictEqual(config.endpoint, "https://staging.example.com");
+    assert.deepStrictEqual(config.libraries, [path.join(projectDir, "shared")]);
+    assert.deepStrictEqual(config.capabilities, ["chrome"]);
+    assert.strictEqual(config.host.options.region, "us-east-1");
+    assert.strictEqual(config.host.options.instanceType, "t3.micro");
+
+    config = await runScript(PRINT_CLIENT_CONFIG, appDir, {AEGISBLADE_PROFILE: "prod", AEGISBLADE_API_ENDPOINT: "https://env.example.com"});
+    assert.strictEqual(config.apiKey, "prod-key");
+    assert.strictEqual(config.endpoint, "https://env.example.com");
+    assert.deepStrictEqual(config.capabilities, ["ffmpeg"]);
+    assert.strictEqual(config.host.options.instanceType, null);
+
+    // Options set in code take precedence over the environment.
+    config = await runScript(PRINT_CLIENT_CONFIG.replace("process.argv[1]", `'{"apiKey": "code-key"}'`), appDir, {AEGISBLADE_API_KEY: "env-key"});
+    assert.strictEqual(config.apiKey, "code-key");
+}));
+
+test("reads the project configuration from package.json or AEGISBLADE_CONFIG", () => withProject({
+    "package.json": JSON.stringify({name: "app", aegisblade: {capabilities: ["chrome"]}}),
+    "config/other.json": JSON.stringify({capabilities: ["ffmpeg"], libraries: ["../shared"]})
+}, async (projectDir) => {
+    let config = await runScript(PRINT_CLIENT_CONFIG, projectDir, {});
+    assert.deepStrictEqual(config.capabilities, ["chrome"]);
+
+    config = await runScript(PRINT_CLIENT_CONFIG, projectDir, {AEGISBLADE_CONFIG: path.join("config", "other.json")});
+    assert.deepStrictEqual(config.capabilities, ["ffmpeg"]);
+    assert.deepStrictEqual(config.libraries, [path.join(projectDir, "shared")]);
+}));
+
+test("reports an invalid project configuration on first use", () => withProject({
+    ".aegisbladerc.json": "{\"capabilities\": ",
+    "index.js": ""
+}, async (projectDir) => {
+    let result = await runScript(`
+        let client = aegisbladeMain.createClient({apiKey: "key", endpoint: "http://127.0.0.1:1"});
+        client.job("job-id").catch((err) => process.stdout.write(JSON.stringify({
+            isAegisBladeError: err instanceof aegisbladeMain.errors.AegisBladeError,
+            isApiError: err instanceof aegisbladeMain.errors.ApiError,
+            message: err.message
+        })));
+    `, projectDir, {});
+
+    assert.ok(result.isAegisBladeError && !result.isApiError);
+    assert.ok(result.message.includes(".aegisbladerc.json"));
+
+    const PRINT_JOB_CONFIG_ERROR = `process.stdout.write(JSON.stringify({message: (() => {
+        try { aegisbladeMain.createClient().createJobConfig(); } catch (err) { return err.message; }
+    })()}));`;
+
+    result = await runScript(PRINT_JOB_CONFIG_ERROR, projectDir, {});
+    assert.ok(result.message.startsWith("Unable to load AegisBlade config file"));
+
+    fs.writeFileSync(".aegisbladerc.json", JSON.stringify({profiles: {prod: {}}}));
+    result = await runScript(PRINT_JOB_CONFIG_ERROR, projectDir, {AEGISBLADE_PROFILE: "staging"});
+    assert.ok(result.message.startsWith("AegisBlade profile was not found: staging"));
+}));
+
+test("registers codecs on each client separately", async () => {
+    let client = createClient();
+    let otherClient = createClient();
+    client.registerCodec(pointCodec);
+
+    assert.deepStrictEqual(client.serializer.encode(new Point(1, 2)), {$aegisblade: "Point", value: [1, 2]});
+    assert.deepStrictEqual(otherClient.serializer.encode(new Point(1, 2)), {x: 1, y: 2});
+    assert.strictEqual(client.data("store").serializer, client.serializer);
+
+    let job = await client.run(movePoint, [new Point(1, 2)], {host: {driver: "local"}});
+    assert.deepStrictEqual(await job.getReturnValue(), new Point(2, 3));
+
+    // The job's process returns a Point, which the other client has no codec for.
+    let otherJob = await otherClient.run(movePoint, [new Point(1, 2)], {host: {driver: "local"}});
+    let err = await rejects(otherJob.getReturnValue(), errors.AegisBladeError);
+    assert.ok(err.message.includes("no codec is registered"));
+});
+
+test("sends the trace output of packing libraries to the client's logger", () => withProject({"index.js": ""}, async () => {
+    let libraryDir = createLibrary("aegisblade-test-logged-library");
+    let messages = [];
+    let client = createClient({logger: {debug: (msg) => messages.push(msg), error: (msg) => messages.push(msg)}});
+    let pathEnv = process.env.PATH;
+
+    try {
+        process.env.PATH = "";
+        await rejects(client.getUploadFiles({libraries: [libraryDir]}), errors.PackagingError);
+        assert.ok(messages.some(msg => msg instanceof Error && msg.code === "ENOENT"));
+
+        process.env.PATH = pathEnv;
+        await client.getUploadFiles({libraries: [libraryDir]});
+        await client.getUploadFiles({libraries: [libraryDir]});
+        assert.ok(messages.includes(`Using cached archive of library: ${libraryDir}`));
+    }
+    finally {
+        process.env.PATH = pathEnv;
+        removeDirectory(libraryDir);
+    }
+}));
+
+const pipeStreams = (readable, writable) => new Promise((resolve, reject) => {
+    readable.on('error', reject);
+    writable.on('error', reject);
+    writable.on('finish', resolve);
+    readable.pipe(writable);
+});
+
+const readStream = (readable) => new Promise((resolve, reject) => {
+    let chunks = [];
+    readable.on('data', chunk => chunks.push(chunk));
+    readable.on('end', () => resolve(Buffer.concat(chunks)));
+    readable.on('error', reject);
+});
+
+test("round-trips binary data byte for byte", async () => {
+    // Every byte value, invalid UTF-8 sequences and enough random bytes to span several chunks.
+    let data = Buffer.concat([
+        Buffer.from(Array.from({length: 256}, (_, i) => 255 - i)),
+        Buffer.from([0xc3, 0x28, 0xa0, 0xa1, 0xe2, 0x28, 0xa1, 0xf0, 0x28, 0x8c, 0xbc, 0xff, 0xfe, 0x80, 0xbf, 0xed, 0xa0, 0x80]),
+        crypto.randomBytes(256 * 1024)
+    ]);
+
+    for (let redirectToStorage of [false, true]) {
+        await withServer({redirectToStorage}, (server, client) => withProject({}, async () => {
+            let dataStore = await client.data("binary").create("s3");
+            const storedFile = (filePath) => server.dataStores.binary.files[filePath];
+
+            await dataStore.uploadData(data, "data.bin");
+            assert.ok(storedFile("data.bin").equals(data));
+            assert.ok((await dataStore.downloadBuffer("data.bin")).equals(data));
+
+            fs.writeFileSync("local.bin", data);
+            await dataStore.uploadFile("local.bin", "file.bin");
+            assert.ok(storedFile("file.bin").equals(data));
+            await dataStore.downloadToFile("file.bin", "downloaded.bin");
+            assert.ok(fs.readFileSync("downloaded.bin").equals(data));
+
+            await pipeStreams(fs.createReadStream("local.bin"), dataStore.createWriteStream("stream.bin"));
+            assert.ok(storedFile("stream.bin").equals(data));
+            assert.ok((await readStream(dataStore.createReadStream("stream.bin"))).equals(data));
+        }));
+    }
+});
+
+test("stores JSON as UTF-8, optionally gzip compressed", () => withServer({}, async (server, client) => {
+    let dataStore = await client.data("objects").create("s3");
+    const storedFile = (filePath) => server.dataStores.objects.files[filePath];
+    let value = {name: "Zoë ✓", rows: [1, 2, 3], nested: {ok: true}};
+
+    await dataStore.putJson("plain.json", value);
+    assert.ok(storedFile("plain.json").equals(Buffer.from(JSON.stringify(value), "utf8")));
+    assert.strictEqual(server.dataStores.objects.fileInfo["plain.json"].contentType, "application/json");
+    assert.deepStrictEqual(await dataStore.getJson("plain.json"), value);
+
+    await dataStore.putJson("compressed.json", value, {gzip: true, contentType: "application/x-ndjson"});
+    assert.deepStrictEqual(Array.from(storedFile("compressed.json").subarray(0, 2)), [0x1f, 0x8b]);
+    assert.strictEqual(server.dataStores.objects.fileInfo["compressed.json"].contentType, "application/x-ndjson");
+    assert.deepStrictEqual(await dataStore.getJson("compressed.json"), value);
+
+    await dataStore.uploadData("{not json", "invalid.json");
+    await rejects(dataStore.getJson("invalid.json"), errors.AegisBladeError);
+    await rejects(dataStore.getJson("missing.json"), errors.NotFoundError);
+}));
+
+test("stores values encoded with the client's serializer", () => withServer({}, async (server, client) => {
+    client.registerCodec(pointCodec);
+    let dataStore = await client.data("objects").create("s3");
+    let value = {when: new Date(1000), tags: new Set(["a"]), counts: new Map([["a", 1]]), data: Buffer.from([0xff, 0x00]), point: new Point(1, 2)};
+
+    await dataStore.putObject("value.json", value, {gzip: true});
+    assert.deepStrictEqual(await dataStore.getObject("value.json"), value);
+
+    // The point is stored tagged, so a client without its codec cannot decode it.
+    let encoded = await dataStore.getJson("value.json");
+    assert.deepStrictEqual(encoded.point, {$aegisblade: "Point", value: [1, 2]});
+    await rejects(createClient().data("objects").getObject("value.json"), errors.AegisBladeError);
+
+    let upperCaseSerializer = {
+        name: "uppercase",
+        encode: (text) => text.toUpperCase(),
+        decode: (text) => text.toLowerCase()
+    };
+
+    await dataStore.putObject("text.json", "Hello", {serializer: upperCaseSerializer});
+    assert.strictEqual(await dataStore.getJson("text.json"), "HELLO");
+    assert.strictEqual(await dataStore.getObject("text.json", {serializer: upperCaseSerializer}), "hello");
+}));
+
+test("copies, moves and renames data store files", () => withServer({}, async (server, client) => {
+    let dataStore = await client.data("objects").create("s3");
+    const fileInfo = (filePath) => server.dataStores.objects.fileInfo[filePath];
+
+    await dataStore.uploadData("a,b", "data.csv", {contentType: "text/csv"});
+
+    await dataStore.copy("data.csv", "copy.csv");
+    assert.strictEqual(await dataStore.download("copy.csv"), "a,b");
+    assert.strictEqual(fileInfo("copy.csv").contentType, "text/csv");
+    assert.strictEqual(await dataStore.download("data.csv"), "a,b");
+
+    await dataStore.copy("data.csv", "copy.txt", {contentType: "text/plain"});
+    assert.strictEqual(fileInfo("copy.txt").contentType, "text/plain");
+
+    await dataStore.move("copy.csv", "moved/data.csv");
+    assert.strictEqual(await dataStore.exists("copy.csv"), false);
+    assert.strictEqual(await dataStore.download("moved/data.csv"), "a,b");
+    assert.strictEqual(fileInfo("moved/data.csv").contentType, "text/csv");
+
+    await dataStore.rename("moved/data.csv", "renamed.csv");
+    assert.deepStrictEqual((await dataStore.listFiles()).sort(), ["copy.txt", "data.csv", "renamed.csv"]);
+
+    // Moving a file onto itself keeps it.
+    await dataStore.move("renamed.csv", "renamed.csv");
+    assert.strictEqual(await dataStore.download("renamed.csv"), "a,b");
+
+    await rejects(dataStore.copy("missing.csv", "other.csv"), errors.NotFoundError);
+    assert.strictEqual(await dataStore.exists("other.csv"), false);
+}));
+
+const runTests = async () => {
+    let failures = 0;
+
+    for (let {name, fn} of tests) {
+        try {
+            await fn();
+            console.log(`ok - ${name}`);
+        }
+        catch (err) {
+            failures++;
+            console.log(`not ok - ${name}`);
+            console.log(err.stack);
+        }
+    }
+
+    console.log(`\n${tests.length - failures} of ${tests.length} tests passed.`);
+    return failures;
+};
+
+if (require.main === module) {
+    runTests()
+        .catch((err) => {
+            console.error(err);
+            return 1;
+        })
+        .then((failures) => {
+            removeDirectory(process.env.AEGISBLADE_CACHE_DIR);
+            process.exitCode = failures ? 1 : 0;
+        });
+}
+
+module.exports = {add, echo, logAndAdd, logAndFail, movePoint};